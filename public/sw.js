@@ -0,0 +1,136 @@
+// App shell service worker. Navigations are network-first so the nginx
+// no-cache rule on / still delivers fresh deploys, but give up on a slow
+// network after a few seconds and boot from the cached shell instead. Hashed
+// files under /assets are immutable, so they are served cache-first, and
+// dropped once the cached shell no longer uses them.
+const CACHE_NAME = 'devcon-shell-v1';
+const SHELL_URL = '/index.html';
+const NETWORK_TIMEOUT = 3000;
+
+const ASSET_PATTERN = /\/assets\/[^"'\s)]+/g;
+
+// Every asset the shell needs: the ones it links to, and the ones those load
+// in turn, such as the search worker. The build emits hashed names, so they
+// are discovered from the files themselves. With `fetchMissing`, assets not
+// cached yet are fetched into the cache.
+const shellAssets = async (cache, html, { fetchMissing }) => {
+  const needed = new Set();
+  let pending = html.match(ASSET_PATTERN) || [];
+
+  while (pending.length > 0) {
+    const found = [];
+    for (const path of pending) {
+      if (needed.has(path)) continue;
+      needed.add(path);
+
+      let response = await cache.match(path);
+      if (!response && fetchMissing) {
+        response = await fetch(path);
+        if (!response.ok) throw new Error(`Failed to cache ${path}`);
+        await cache.put(path, response.clone());
+      }
+      if (response && /\.(js|css)$/.test(path)) {
+        found.push(...((await response.text()).match(ASSET_PATTERN) || []));
+      }
+    }
+    pending = found;
+  }
+  return needed;
+};
+
+// Drop cached assets that the cached shell no longer needs
+const pruneAssets = async (cache) => {
+  const shell = await cache.match(SHELL_URL);
+  if (!shell) return;
+  const needed = await shellAssets(cache, await shell.text(), { fetchMissing: false });
+  const requests = await cache.keys();
+  await Promise.all(
+    requests
+      .filter(request => {
+        const { pathname } = new URL(request.url);
+        return pathname.startsWith('/assets/') && !needed.has(pathname);
+      })
+      .map(request => cache.delete(request))
+  );
+};
+
+// Cache a shell with everything it needs, then forget the previous one's assets
+const storeShell = async (cache, response) => {
+  const html = await response.clone().text();
+  const current = await cache.match(SHELL_URL);
+  if (current && (await current.text()) === html) return;
+
+  await shellAssets(cache, html, { fetchMissing: true });
+  await cache.put(SHELL_URL, response);
+  await pruneAssets(cache);
+};
+
+const precacheShell = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  const response = await fetch(SHELL_URL, { cache: 'no-store' });
+  if (response.ok) await storeShell(cache, response);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => caches.open(CACHE_NAME))
+      .then(pruneAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+// A fresh shell replaces the cached one in the background, even when it
+// arrived too late to be used for this navigation
+const networkFirstShell = async (event) => {
+  const cache = await caches.open(CACHE_NAME);
+  const network = fetch(event.request);
+  event.waitUntil(
+    network
+      .then(response => response.ok && storeShell(cache, response.clone()))
+      .catch(() => {
+        // Offline or incomplete: the cached shell stays as it was
+      })
+  );
+
+  const cached = await cache.match(SHELL_URL);
+  if (!cached) return network;
+
+  // On a network that is up but not answering, don't wait out the browser's timeout
+  const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT, null));
+  try {
+    return (await Promise.race([network, timeout])) || cached;
+  } catch {
+    return cached;
+  }
+};
+
+const cacheFirstAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstShell(event));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirstAsset(request));
+  }
+});
@@ -0,0 +1,99 @@
+// Calendar feed server. Calendar apps subscribe to
+//
+//   /calendar.ics?ids=<session ids, comma-separated>&name=<calendar name>
+//
+// and get the sessions as they are now, so subscribed events follow the
+// schedule when sessions move. Without `ids` the feed is the full schedule.
+// The schedule is loaded through the app's own data source, configured by the
+// same VITE_DATA_SOURCE* variables (see .env.example), and kept for a few
+// minutes between requests. Each session's SEQUENCE goes up whenever it
+// changes, counted in FEED_STATE_FILE so restarts never lower it. Build with
+// `npm run build:feed`, then start with `npm run feed`; FEED_PORT picks the port.
+import http from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createDataSource, getDataSourceConfig } from '../src/lib/dataSources';
+import { buildCalendar, updateCalendarRevisions } from '../src/lib/ics';
+
+const PORT = Number(process.env.FEED_PORT) || 8787;
+const STATE_FILE = process.env.FEED_STATE_FILE || 'calendar-feed-revisions.json';
+const CACHE_TTL = 5 * 60 * 1000;
+const MAX_IDS = 500;
+const DEFAULT_NAME = 'Devcon Schedule';
+
+const dataSource = createDataSource(getDataSourceConfig(process.env));
+let cached = null;
+let pending = null;
+
+const readRevisions = async () => {
+  try {
+    return JSON.parse(await readFile(STATE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Failed to read ${STATE_FILE}, counting revisions from scratch:`, error);
+    return {};
+  }
+};
+
+let revisions = await readRevisions();
+
+const countRevisions = async (sessions) => {
+  revisions = updateCalendarRevisions(sessions, revisions);
+  await writeFile(STATE_FILE, JSON.stringify(revisions))
+    .catch(error => console.error(`Failed to save ${STATE_FILE}:`, error));
+};
+
+// The last good schedule is served while a reload fails
+const loadSessions = async () => {
+  if (cached && Date.now() - cached.at < CACHE_TTL) return cached.sessions;
+  if (!pending) {
+    pending = dataSource.fetchSessions()
+      .then(async sessions => {
+        await countRevisions(sessions);
+        cached = { sessions, at: Date.now() };
+        return sessions;
+      })
+      .catch(error => {
+        console.error('Failed to load sessions for the calendar feed:', error);
+        if (cached) return cached.sessions;
+        throw error;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+};
+
+const parseIds = (value) =>
+  value === null
+    ? null
+    : new Set(value.split(',').map(id => id.trim()).filter(Boolean).slice(0, MAX_IDS));
+
+const handleRequest = async (request, response) => {
+  const url = new URL(request.url, 'http://localhost');
+  if (request.method !== 'GET' || url.pathname !== '/calendar.ics') {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found');
+    return;
+  }
+
+  try {
+    const sessions = await loadSessions();
+    const ids = parseIds(url.searchParams.get('ids'));
+    const name = url.searchParams.get('name')?.slice(0, 100) || DEFAULT_NAME;
+    response.writeHead(200, {
+      'Content-Type': 'text/calendar;charset=utf-8',
+      'Cache-Control': `public, max-age=${CACHE_TTL / 1000}`
+    });
+    response.end(buildCalendar(ids ? sessions.filter(session => ids.has(session.id)) : sessions, {
+      name,
+      revisions
+    }));
+  } catch {
+    response.writeHead(502, { 'Content-Type': 'text/plain' });
+    response.end('The schedule could not be loaded');
+  }
+};
+
+http.createServer(handleRequest).listen(PORT, () => {
+  console.log(`Calendar feed listening on port ${PORT}`);
+});
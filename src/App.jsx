@@ -1,10 +1,24 @@
-import React from 'react'
+import React, { useState } from 'react'
 import ScheduleApp from './components/ScheduleApp'
+import KioskView from './components/KioskView'
+import { TimeSettingsProvider } from './hooks/useTimeFormat'
+import { I18nProvider } from './hooks/useI18n'
+import { UserDataProvider } from './hooks/useUserData'
+import { parseKioskMode } from './lib/urlState'
 
 function App() {
+  // Room screens are chosen by URL when the page loads
+  const [kiosk] = useState(() => parseKioskMode(window.location.search))
+
   return (
-    <ScheduleApp />
+    <UserDataProvider>
+      <I18nProvider>
+        <TimeSettingsProvider>
+          {kiosk ? <KioskView room={kiosk.room} /> : <ScheduleApp />}
+        </TimeSettingsProvider>
+      </I18nProvider>
+    </UserDataProvider>
   )
 }
 
-export default App
\ No newline at end of file
+export default App
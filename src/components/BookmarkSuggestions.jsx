@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { ChevronDown, Lightbulb } from 'lucide-react';
+import RelatedSessionList from './RelatedSessionList';
+import useI18n from '../hooks/useI18n';
+
+// "Because you bookmarked X" groups shown above My Schedule
+const BookmarkSuggestions = ({ groups, bookmarkedSessions, onToggleBookmark, onOpenSession }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const { t } = useI18n();
+
+  if (groups.length === 0) return null;
+
+  return (
+    <div className="mt-4 border rounded-lg bg-white p-4">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="w-full flex items-center gap-2 text-start font-semibold"
+      >
+        <Lightbulb className="w-4 h-4 text-yellow-500" />
+        <span className="flex-1">{t('related.suggestions')}</span>
+        <ChevronDown className={`w-4 h-4 text-gray-500 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="space-y-4 mt-3">
+          {groups.map(({ bookmark, matches }) => (
+            <div key={bookmark.id}>
+              <div className="text-sm text-gray-600 mb-2">
+                {t('related.because')}{' '}
+                <button onClick={() => onOpenSession(bookmark.id)} className="font-medium text-gray-900 hover:underline">
+                  {bookmark.title}
+                </button>
+              </div>
+              <RelatedSessionList
+                matches={matches}
+                bookmarkedSessions={bookmarkedSessions}
+                onToggleBookmark={onToggleBookmark}
+                onOpenSession={onOpenSession}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookmarkSuggestions;
@@ -0,0 +1,143 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/AlertDialog';
+import { affectedIds, hasChanges } from '../lib/changeLog';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+
+const formatValue = (field, value, timeFormat) => {
+  if (field === 'time') {
+    return `${timeFormat.dateTime(value.start)} – ${timeFormat.time(value.end)}`;
+  }
+  return value || '—';
+};
+
+const ChangeEntry = ({ entry, bookmarkedSessions }) => {
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+  const affectedBookmarks = affectedIds(entry).filter(id => bookmarkedSessions.includes(id));
+  const isBookmarked = (id) => bookmarkedSessions.includes(id);
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="text-gray-600">
+        <span className="text-green-600">{t('changes.added', { count: entry.added.length })}</span>
+        {' · '}
+        <span className="text-red-600">{t('changes.removed', { count: entry.removed.length })}</span>
+        {' · '}
+        <span className="text-blue-600">{t('changes.changed', { count: entry.changed.length })}</span>
+        {' · '}
+        {t('changes.unchanged', { count: entry.unchanged })}
+      </div>
+
+      {affectedBookmarks.length > 0 && (
+        <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-50 border border-amber-300 text-amber-800">
+          <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+          <span className="font-medium">
+            {t('changes.bookmarksAffected', { count: affectedBookmarks.length })}
+          </span>
+        </div>
+      )}
+
+      {entry.changed.length > 0 && (
+        <ul className="space-y-2">
+          {entry.changed.map(item => (
+            <li key={item.id} className={isBookmarked(item.id) ? 'ps-2 border-s-2 border-amber-400' : ''}>
+              <div className="font-medium text-gray-900">{item.title}</div>
+              {item.changes.map(change => (
+                <div key={change.field} className="text-gray-600">
+                  {t(`changes.field.${change.field}`)}
+                  {change.field !== 'details' && (
+                    <>
+                      {': '}
+                      <span className="line-through">{formatValue(change.field, change.before, timeFormat)}</span>
+                      {' → '}
+                      <span className="text-gray-900">{formatValue(change.field, change.after, timeFormat)}</span>
+                    </>
+                  )}
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {entry.added.length > 0 && (
+        <div>
+          <div className="font-medium text-green-700">{t('changes.addedHeading')}</div>
+          <ul className="text-gray-700">
+            {entry.added.map(item => <li key={item.id}>{item.title}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {entry.removed.length > 0 && (
+        <div>
+          <div className="font-medium text-red-700">{t('changes.removedHeading')}</div>
+          <ul className="text-gray-700">
+            {entry.removed.map(item => (
+              <li key={item.id} className={isBookmarked(item.id) ? 'font-medium text-amber-800' : 'line-through'}>
+                {item.title}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ChangeLogDialog = ({ open, onOpenChange, latest, history, bookmarkedSessions }) => {
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+  const earlier = latest ? history.filter(entry => entry.at !== latest.at) : history;
+
+  return (
+    <AlertDialog open={open} onOpenChange={onOpenChange}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>{t(latest ? 'changes.titleUpdated' : 'changes.titleHistory')}</AlertDialogTitle>
+          <AlertDialogDescription>
+            {latest && !hasChanges(latest) && t('changes.noChanges')}
+            {!latest && history.length === 0 && t('changes.noHistory')}
+            {!latest && history.length > 0 && t('changes.historyDescription')}
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+
+        <div className="max-h-[60vh] overflow-y-auto space-y-4">
+          {latest && hasChanges(latest) && (
+            <ChangeEntry entry={latest} bookmarkedSessions={bookmarkedSessions} />
+          )}
+
+          {earlier.map(entry => (
+            <details key={entry.at} open={!latest && !entry.seen} className="border-t pt-3">
+              <summary className="cursor-pointer text-sm font-medium text-gray-700">
+                {timeFormat.timestamp(entry.at)}
+                {!entry.seen && <span className="ms-2 text-xs text-blue-600">{t('changes.new')}</span>}
+              </summary>
+              <div className="mt-2">
+                <ChangeEntry entry={entry} bookmarkedSessions={bookmarkedSessions} />
+              </div>
+            </details>
+          ))}
+        </div>
+
+        <AlertDialogFooter>
+          <AlertDialogAction onClick={() => onOpenChange(false)}>
+            {t('common.okay')}
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default ChangeLogDialog;
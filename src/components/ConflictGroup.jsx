@@ -0,0 +1,19 @@
+import React from 'react';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+const ConflictGroup = ({ count, hasConflict, children }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className={`border-s-4 ps-3 mb-4 ${hasConflict ? 'border-amber-400' : 'border-green-400'}`}>
+      <div className={`flex items-center gap-1 text-sm mb-2 ${hasConflict ? 'text-amber-700' : 'text-green-700'}`}>
+        {hasConflict ? <AlertTriangle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
+        {t(hasConflict ? 'conflicts.overlap' : 'conflicts.planned', { count })}
+      </div>
+      {children}
+    </div>
+  );
+};
+
+export default ConflictGroup;
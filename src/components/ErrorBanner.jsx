@@ -0,0 +1,32 @@
+import React from 'react';
+import { AlertTriangle, RefreshCw, X } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+const ErrorBanner = ({ message, detail, isRetrying, onRetry, onDismiss }) => {
+  const { t } = useI18n();
+
+  return (
+    <div role="alert" className="mt-4 flex items-start gap-3 p-3 rounded-lg border border-red-200 bg-red-50 text-sm text-red-800">
+      <AlertTriangle className="w-5 h-5 shrink-0" />
+      <div className="flex-1">
+        <div className="font-medium">{message}</div>
+        {detail && <div className="text-red-700">{detail}</div>}
+      </div>
+      <button
+        onClick={onRetry}
+        disabled={isRetrying}
+        className="flex items-center gap-1 px-3 py-1 rounded-lg bg-red-100 hover:bg-red-200 disabled:opacity-50"
+      >
+        <RefreshCw className={`w-4 h-4 ${isRetrying ? 'animate-spin' : ''}`} />
+        {t('common.retry')}
+      </button>
+      {onDismiss && (
+        <button onClick={onDismiss} aria-label={t('common.dismiss')} className="p-1 text-red-400 hover:text-red-600">
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ErrorBanner;
@@ -0,0 +1,47 @@
+import React, { useState, useRef } from 'react';
+import { Download } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import useClickOutside from '../hooks/useClickOutside';
+
+const ExportMenu = ({ options }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+  const { t } = useI18n();
+
+  useClickOutside(menuRef, () => setIsOpen(false), { enabled: isOpen });
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200"
+      >
+        <Download className="w-4 h-4" />
+        <span className="sr-only sm:not-sr-only">{t('export.button')}</span>
+      </button>
+      {isOpen && (
+        <div className="absolute end-0 mt-1 w-56 bg-white border rounded-lg shadow-lg py-1 z-50">
+          {options.map(option => (
+            <button
+              key={option.label}
+              onClick={() => {
+                option.onSelect();
+                setIsOpen(false);
+              }}
+              disabled={option.count === 0}
+              className={`w-full flex justify-between px-3 py-2 text-sm text-start text-gray-700 hover:bg-gray-100 disabled:opacity-50 ${
+                option.separated ? 'border-t' : ''
+              }`}
+            >
+              {option.label}
+              {option.count !== undefined && <span className="text-gray-400">{option.count}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
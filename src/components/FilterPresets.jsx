@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Save, X } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+const FilterPresets = ({ presets, canSave, onApply, onSave, onDelete }) => {
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+  const { t } = useI18n();
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+    setIsNaming(false);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      {presets.map(preset => (
+        <span key={preset.name} className="flex items-center bg-white border rounded-full">
+          <button onClick={() => onApply(preset)} className="ps-3 pe-1 py-1 text-gray-700 hover:text-blue-600">
+            {preset.name}
+          </button>
+          <button
+            onClick={() => onDelete(preset.name)}
+            aria-label={t('presets.delete', { name: preset.name })}
+            className="pe-2 py-1 text-gray-400 hover:text-gray-600"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+
+      {isNaming ? (
+        <form onSubmit={handleSave} className="flex items-center gap-1">
+          <input
+            autoFocus
+            type="text"
+            placeholder={t('presets.name')}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="border rounded-lg px-2 py-1"
+          />
+          <button type="submit" className="px-2 py-1 text-blue-600 hover:text-blue-800">{t('common.save')}</button>
+          <button type="button" onClick={() => setIsNaming(false)} className="px-2 py-1 text-gray-500">{t('common.cancel')}</button>
+        </form>
+      ) : canSave && (
+        <button
+          onClick={() => setIsNaming(true)}
+          className="flex items-center gap-1 px-2 py-1 text-gray-600 hover:text-gray-900"
+        >
+          <Save className="w-4 h-4" />
+          {t('presets.saveAs')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FilterPresets;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { matchRanges } from '../lib/search';
+
+// Wrap occurrences of the matched search terms in <mark>
+const Highlight = ({ text, terms }) => {
+  if (!text || !terms || terms.length === 0) return text || null;
+
+  const parts = [];
+  let last = 0;
+  matchRanges(text, terms).forEach(([start, end], index) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={index} className="bg-yellow-200 rounded-sm">{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return parts;
+};
+
+export default Highlight;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, WifiOff } from 'lucide-react';
+import useScheduleData from '../hooks/useScheduleData';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+import { roomsNowAndNext, sessionProgress } from '../lib/nowNext';
+import { systemClock } from '../lib/clock';
+
+// Screens stay up unattended, so they poll more often than the app does and
+// retry sooner still while the network is down
+const SYNC_INTERVAL = 60 * 1000;
+const RETRY_INTERVAL = 15 * 1000;
+// How often the display re-checks what's on
+const TICK = 10 * 1000;
+const MINUTE = 60 * 1000;
+
+const speakerNames = (session) => (session.speakers || []).map(speaker => speaker.name).join(', ');
+
+const NowPanel = ({ session, now, large }) => {
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  if (!session) {
+    return <div className={`text-gray-500 ${large ? 'text-4xl' : 'text-2xl'}`}>{t('kiosk.nothingNow')}</div>;
+  }
+  return (
+    <div className="space-y-2">
+      <div className={`font-bold leading-tight ${large ? 'text-6xl' : 'text-3xl'}`}>{session.title}</div>
+      {speakerNames(session) && (
+        <div className={`text-gray-300 ${large ? 'text-3xl' : 'text-xl'}`}>{speakerNames(session)}</div>
+      )}
+      <div className={`text-gray-400 ${large ? 'text-2xl' : 'text-lg'}`}>
+        {timeFormat.timeRange(session.slot_start, session.slot_end)}
+      </div>
+      <div className="h-2 rounded-full bg-gray-700 overflow-hidden">
+        <div className="h-full bg-red-500" style={{ width: `${sessionProgress(session, now) * 100}%` }} />
+      </div>
+    </div>
+  );
+};
+
+const NextPanel = ({ session, now, large }) => {
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  if (!session) {
+    return <div className={`text-gray-500 ${large ? 'text-3xl' : 'text-xl'}`}>{t('kiosk.nothingNext')}</div>;
+  }
+
+  const minutes = Math.ceil((new Date(session.slot_start).getTime() - now) / MINUTE);
+  const when = minutes <= 60
+    ? t('kiosk.startsIn', { count: minutes })
+    : timeFormat.dayKey(session.slot_start) === timeFormat.dayKey(now)
+      ? timeFormat.time(session.slot_start)
+      : `${timeFormat.shortDay(session.slot_start)}, ${timeFormat.time(session.slot_start)}`;
+
+  return (
+    <div className="space-y-1">
+      <div className={`font-semibold leading-tight ${large ? 'text-4xl' : 'text-2xl'}`}>{session.title}</div>
+      {speakerNames(session) && (
+        <div className={`text-gray-300 ${large ? 'text-2xl' : 'text-lg'}`}>{speakerNames(session)}</div>
+      )}
+      <div className={`text-blue-300 ${large ? 'text-2xl' : 'text-lg'}`}>{when}</div>
+    </div>
+  );
+};
+
+// Full-screen "Now & Next" for the screens outside rooms: one room when
+// `room` is given, otherwise every room with something still to come. There
+// is nothing to click; it advances, refreshes and reconnects on its own.
+const KioskView = ({ room = null, clock = systemClock }) => {
+  // Keeps whatever it had when a load fails; the faster retry picks it up again
+  const { sessions, lastSyncedAt, isLoading, error } = useScheduleData({
+    interval: SYNC_INTERVAL,
+    retryInterval: RETRY_INTERVAL
+  });
+  const hasFailed = Boolean(error);
+  const [now, setNow] = useState(() => clock.now());
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  useEffect(() => {
+    setNow(clock.now());
+    const interval = clock.setInterval(() => setNow(clock.now()), TICK);
+    return () => clock.clearInterval(interval);
+  }, [clock]);
+
+  // Keep the screen on where the browser allows it; the lock is dropped
+  // whenever the page is hidden, so take it again on return
+  useEffect(() => {
+    if (!navigator.wakeLock) return;
+    let lock = null;
+    const requestLock = () => {
+      if (document.hidden) return;
+      navigator.wakeLock.request('screen')
+        .then(sentinel => { lock = sentinel; })
+        .catch(error => console.error('Screen wake lock unavailable:', error));
+    };
+
+    requestLock();
+    document.addEventListener('visibilitychange', requestLock);
+    return () => {
+      document.removeEventListener('visibilitychange', requestLock);
+      lock?.release();
+    };
+  }, []);
+
+  const rooms = roomsNowAndNext(sessions, now, { room });
+  const isSingleRoom = Boolean(room);
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white cursor-none select-none p-8 flex flex-col">
+      <div className="flex items-baseline justify-between gap-4 mb-8">
+        <h1 className="text-4xl font-bold">{isSingleRoom ? rooms[0].room : t('app.title')}</h1>
+        <div className="flex items-baseline gap-4">
+          {hasFailed && (
+            <span className="flex items-center gap-1 text-base text-amber-400">
+              <WifiOff className="w-4 h-4" />
+              {lastSyncedAt && t('kiosk.offline', { time: timeFormat.time(lastSyncedAt) })}
+            </span>
+          )}
+          <span className="text-4xl font-light tabular-nums">{timeFormat.time(now)}</span>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex-1 flex items-center justify-center">
+          <RefreshCw className="w-12 h-12 animate-spin text-gray-500" />
+        </div>
+      ) : isSingleRoom ? (
+        rooms[0].current || rooms[0].next ? (
+          <div className="flex-1 flex flex-col gap-12">
+            <section>
+              <div className="text-2xl uppercase tracking-wide text-red-400 mb-4">{t('kiosk.now')}</div>
+              <NowPanel session={rooms[0].current} now={now} large />
+            </section>
+            <section>
+              <div className="text-2xl uppercase tracking-wide text-blue-400 mb-4">{t('kiosk.next')}</div>
+              <NextPanel session={rooms[0].next} now={now} large />
+            </section>
+          </div>
+        ) : (
+          <div className="flex-1 flex items-center justify-center text-4xl text-gray-500">{t('kiosk.empty')}</div>
+        )
+      ) : rooms.length > 0 ? (
+        <div className="divide-y divide-gray-700">
+          <div className="grid grid-cols-[12rem_1fr_1fr] gap-8 pb-2 text-lg uppercase tracking-wide">
+            <span />
+            <span className="text-red-400">{t('kiosk.now')}</span>
+            <span className="text-blue-400">{t('kiosk.next')}</span>
+          </div>
+          {rooms.map(entry => (
+            <div key={entry.room} className="grid grid-cols-[12rem_1fr_1fr] gap-8 py-6">
+              <div className="text-2xl font-semibold">{entry.room}</div>
+              <NowPanel session={entry.current} now={now} />
+              <NextPanel session={entry.next} now={now} />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="flex-1 flex items-center justify-center text-4xl text-gray-500">{t('kiosk.empty')}</div>
+      )}
+    </div>
+  );
+};
+
+export default KioskView;
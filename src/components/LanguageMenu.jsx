@@ -0,0 +1,48 @@
+import React, { useState, useRef } from 'react';
+import { Check, Globe } from 'lucide-react';
+import { LOCALES } from '../lib/i18n';
+import useI18n from '../hooks/useI18n';
+import useClickOutside from '../hooks/useClickOutside';
+
+const LanguageMenu = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+  const { locale, setLocale, t } = useI18n();
+
+  useClickOutside(menuRef, () => setIsOpen(false), { enabled: isOpen });
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title={t('language.label')}
+        aria-label={t('language.label')}
+        aria-expanded={isOpen}
+        className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200"
+      >
+        <Globe className="w-4 h-4" />
+        <span className="hidden sm:inline uppercase">{locale}</span>
+      </button>
+      {isOpen && (
+        <div className="absolute end-0 mt-1 w-44 bg-white border rounded-lg shadow-lg py-1 z-50">
+          {Object.entries(LOCALES).map(([code, { name }]) => (
+            <button
+              key={code}
+              lang={code}
+              onClick={() => {
+                setLocale(code);
+                setIsOpen(false);
+              }}
+              className="w-full flex items-center justify-between px-3 py-2 text-sm text-start text-gray-700 hover:bg-gray-100"
+            >
+              {name}
+              {code === locale && <Check className="w-4 h-4 text-blue-600" />}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LanguageMenu;
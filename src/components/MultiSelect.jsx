@@ -0,0 +1,66 @@
+import React, { useState, useRef } from 'react';
+import { ChevronDown } from 'lucide-react';
+import { toggleValue } from '../lib/filters';
+import useClickOutside from '../hooks/useClickOutside';
+
+const MultiSelect = ({ label, allLabel, countLabel, options, selected, onChange, formatOption = option => option }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  useClickOutside(containerRef, () => setIsOpen(false), { enabled: isOpen });
+
+  // Escape closes the list and hands focus back to the button
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Escape' || !isOpen) return;
+    event.stopPropagation();
+    setIsOpen(false);
+    buttonRef.current?.focus();
+  };
+
+  const summary = selected.length === 0
+    ? allLabel
+    : selected.length === 1 ? formatOption(selected[0]) : countLabel(selected.length);
+
+  return (
+    <div ref={containerRef} className="relative" onKeyDown={handleKeyDown}>
+      <button
+        ref={buttonRef}
+        onClick={() => setIsOpen(!isOpen)}
+        aria-label={label ? `${label}: ${summary}` : undefined}
+        aria-expanded={isOpen}
+        className="w-full flex items-center justify-between gap-2 border rounded-lg px-3 py-2 text-sm bg-white text-start"
+      >
+        <span className="truncate">{summary}</span>
+        <ChevronDown className="w-4 h-4 shrink-0 text-gray-400" />
+      </button>
+      {isOpen && (
+        <div
+          role="group"
+          aria-label={label}
+          className="absolute left-0 right-0 mt-1 max-h-72 overflow-y-auto bg-white border rounded-lg shadow-lg py-1 z-50"
+        >
+          <button
+            onClick={() => onChange([])}
+            disabled={selected.length === 0}
+            className="w-full px-3 py-2 text-sm text-start text-blue-600 hover:bg-gray-100 disabled:text-gray-400"
+          >
+            {allLabel}
+          </button>
+          {options.map(option => (
+            <label key={option} className="flex items-center gap-2 px-3 py-2 text-sm hover:bg-gray-100 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selected.includes(option)}
+                onChange={() => onChange(toggleValue(selected, option))}
+              />
+              {formatOption(option)}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiSelect;
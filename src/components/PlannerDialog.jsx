@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Plus, X } from 'lucide-react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/AlertDialog';
+import MultiSelect from './MultiSelect';
+import {
+  parseKeywords,
+  planItinerary,
+  planAlternatives,
+  replacePick,
+  removePick,
+  plannedSessionIds
+} from '../lib/planner';
+import useUserData from '../hooks/useUserData';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+
+const BREAK_OPTIONS = [0, 5, 10, 15, 30];
+// How long typing has to pause before the keywords re-plan
+const KEYWORD_DELAY = 400;
+const EMPTY_PLAN = { days: [], reasons: {} };
+
+const PlannerDialog = ({ open, onOpenChange, sessions, days, tracks, speakers, bookmarkedSessions, onAccept }) => {
+  const [preferences, setPreferences] = useUserData('plannerPreferences');
+  const [keywordText, setKeywordText] = useState(() => preferences.keywords.join(', '));
+  // Tweaks apply to the plan they were made on; changing preferences starts over
+  const [edited, setEdited] = useState({ base: null, plan: null });
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  const sessionsById = useMemo(() => new Map(sessions.map(session => [session.id, session])), [sessions]);
+  const speakerNames = useMemo(() => new Map(speakers.map(speaker => [speaker.key, speaker.name])), [speakers]);
+
+  const basePlan = useMemo(
+    () => (open ? planItinerary(sessions, preferences, { timeFormat }) : EMPTY_PLAN),
+    [open, sessions, preferences, timeFormat]
+  );
+  const plan = edited.base === basePlan ? edited.plan : basePlan;
+  const plannedIds = plannedSessionIds(plan);
+  const alternatives = useMemo(
+    () => (open ? planAlternatives(sessions, plan, preferences, { timeFormat }) : new Map()),
+    [open, sessions, plan, preferences, timeFormat]
+  );
+
+  const updatePreference = (key, value) => {
+    setPreferences(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Re-plan and save once typing pauses, not on every keystroke
+  useEffect(() => {
+    const keywords = parseKeywords(keywordText);
+    if (keywords.join(',') === preferences.keywords.join(',')) return;
+    const timer = setTimeout(() => updatePreference('keywords', keywords), KEYWORD_DELAY);
+    return () => clearTimeout(timer);
+  }, [keywordText]);
+
+  const updateBlocked = (index, changes) => {
+    updatePreference('blocked', preferences.blocked.map((range, i) => (i === index ? { ...range, ...changes } : range)));
+  };
+
+  const addBlocked = () => {
+    updatePreference('blocked', [...preferences.blocked, { day: '', from: '12:00', to: '13:00' }]);
+  };
+
+  const editPlan = (next) => setEdited({ base: basePlan, plan: next });
+
+  const sortedIds = (ids) =>
+    ids
+      .map(id => sessionsById.get(id))
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start));
+
+  const describeReason = (reason) => t(`planner.reason.${reason.type}`, { value: reason.value });
+
+  return (
+    <AlertDialog open={open} onOpenChange={onOpenChange}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>{t('planner.title')}</AlertDialogTitle>
+          <AlertDialogDescription>{t('planner.description')}</AlertDialogDescription>
+        </AlertDialogHeader>
+
+        <div className="max-h-[60vh] overflow-y-auto space-y-4 text-sm">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <MultiSelect
+              label={t('filters.dayLabel')}
+              allLabel={t('filters.allDays')}
+              countLabel={count => t('filters.days', { count })}
+              options={days}
+              selected={preferences.days}
+              onChange={value => updatePreference('days', value)}
+              formatOption={timeFormat.dayLabel}
+            />
+            <MultiSelect
+              label={t('filters.trackLabel')}
+              allLabel={t('planner.anyTrack')}
+              countLabel={count => t('filters.tracks', { count })}
+              options={tracks}
+              selected={preferences.tracks}
+              onChange={value => updatePreference('tracks', value)}
+            />
+            <MultiSelect
+              label={t('nav.speakers')}
+              allLabel={t('planner.anySpeaker')}
+              countLabel={count => t('planner.speakers', { count })}
+              options={speakers.map(speaker => speaker.key)}
+              selected={preferences.speakers}
+              onChange={value => updatePreference('speakers', value)}
+              formatOption={key => speakerNames.get(key) || key}
+            />
+            <MultiSelect
+              label={t('planner.mustSeeLabel')}
+              allLabel={t('planner.noMustSee')}
+              countLabel={count => t('planner.mustSee', { count })}
+              options={bookmarkedSessions.filter(id => sessionsById.has(id))}
+              selected={preferences.mustSee}
+              onChange={value => updatePreference('mustSee', value)}
+              formatOption={id => sessionsById.get(id)?.title || id}
+            />
+          </div>
+
+          <input
+            type="text"
+            placeholder={t('planner.keywords')}
+            aria-label={t('planner.keywords')}
+            value={keywordText}
+            onChange={(e) => setKeywordText(e.target.value)}
+            className="w-full px-3 py-2 border rounded-lg"
+          />
+
+          <label className="flex items-center gap-2">
+            {t('planner.breakBetween')}
+            <select
+              value={preferences.breakMinutes}
+              onChange={(e) => updatePreference('breakMinutes', Number(e.target.value))}
+              className="border rounded-lg px-2 py-1 bg-white"
+            >
+              {BREAK_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>{t('upNext.minutes', { count: minutes })}</option>
+              ))}
+            </select>
+          </label>
+
+          <div className="space-y-2">
+            <div className="font-medium text-gray-900">{t('planner.blocked')}</div>
+            {preferences.blocked.map((range, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <select
+                  value={range.day}
+                  onChange={(e) => updateBlocked(index, { day: e.target.value })}
+                  aria-label={t('planner.blockedDay')}
+                  className="border rounded-lg px-2 py-1 bg-white"
+                >
+                  <option value="">{t('planner.everyDay')}</option>
+                  {days.map(day => <option key={day} value={day}>{timeFormat.dayLabel(day)}</option>)}
+                </select>
+                <input
+                  type="time"
+                  value={range.from}
+                  onChange={(e) => updateBlocked(index, { from: e.target.value })}
+                  aria-label={t('planner.blockedFrom')}
+                  className="border rounded-lg px-2 py-1"
+                />
+                <span>{t('filters.to')}</span>
+                <input
+                  type="time"
+                  value={range.to}
+                  onChange={(e) => updateBlocked(index, { to: e.target.value })}
+                  aria-label={t('planner.blockedUntil')}
+                  className="border rounded-lg px-2 py-1"
+                />
+                <button
+                  onClick={() => updatePreference('blocked', preferences.blocked.filter((_, i) => i !== index))}
+                  aria-label={t('planner.removeBlocked')}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button onClick={addBlocked} className="flex items-center gap-1 text-blue-600 hover:text-blue-800">
+              <Plus className="w-4 h-4" />
+              {t('planner.addBlocked')}
+            </button>
+          </div>
+
+          {plan.days.length === 0 ? (
+            <div className="text-gray-500">{t('planner.empty')}</div>
+          ) : plan.days.map(dayPlan => (
+            <div key={dayPlan.day} className="space-y-2">
+              <div className="font-medium text-gray-900">{timeFormat.dayLabel(dayPlan.day)}</div>
+              {dayPlan.skippedMustSee.map(({ id, reason }) => (
+                <div key={id} className="text-amber-800">
+                  {t(`planner.skipped.${reason}`, { title: sessionsById.get(id)?.title })}
+                </div>
+              ))}
+              <ul className="divide-y border rounded-lg">
+                {sortedIds(dayPlan.sessionIds).map(session => {
+                  const slot = { day: dayPlan.day, sessionId: session.id };
+                  const swaps = alternatives.get(session.id) || [];
+                  return (
+                    <li key={session.id} className="flex items-start gap-2 px-3 py-2">
+                      <span className="w-28 shrink-0 text-gray-500">
+                        {timeFormat.timeRange(new Date(session.slot_start), new Date(session.slot_end))}
+                      </span>
+                      <div className="flex-1 min-w-0 space-y-1">
+                        <div className="font-medium">{session.title}</div>
+                        {plan.reasons[session.id] && (
+                          <div className="flex flex-wrap gap-1">
+                            {plan.reasons[session.id].map(reason => (
+                              <span key={describeReason(reason)} className="text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-800">
+                                {describeReason(reason)}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {swaps.length > 0 && (
+                          <select
+                            value=""
+                            onChange={(e) => editPlan(replacePick(plan, slot, e.target.value))}
+                            aria-label={t('planner.swap', { count: swaps.length })}
+                            className="w-full border rounded-lg px-2 py-1 bg-white text-xs"
+                          >
+                            <option value="">{t('planner.swap', { count: swaps.length })}</option>
+                            {swaps.map(id => sessionsById.get(id)).map(alternative => (
+                              <option key={alternative.id} value={alternative.id}>
+                                {timeFormat.time(new Date(alternative.slot_start))} {alternative.title}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => editPlan(removePick(plan, slot))}
+                        title={t('planner.remove')}
+                        className="text-gray-400 hover:text-gray-600"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+
+        <AlertDialogFooter>
+          <AlertDialogCancel>{t('common.cancel')}</AlertDialogCancel>
+          <AlertDialogAction onClick={() => onAccept(plannedIds)} disabled={plannedIds.length === 0}>
+            {t('planner.accept', { count: plannedIds.length })}
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default PlannerDialog;
@@ -0,0 +1,69 @@
+import React, { useMemo } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { sessionPermalink } from '../lib/urlState';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+
+// Pocket agenda for paper or PDF: one page per day, one line per session, and
+// a QR code back to each session's permalink. Only shown in print.
+const PrintAgenda = ({ title, sessions, includeDescriptions, includeQrCodes }) => {
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  const days = useMemo(() => {
+    const grouped = new Map();
+    [...sessions]
+      .sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start))
+      .forEach(session => {
+        const day = timeFormat.dayKey(session.slot_start);
+        if (!grouped.has(day)) grouped.set(day, []);
+        grouped.get(day).push(session);
+      });
+    return Array.from(grouped.entries());
+  }, [sessions, timeFormat]);
+
+  return (
+    <div className="hidden print:block text-black text-xs">
+      <header className="mb-3">
+        <h1 className="text-lg font-bold">{title}</h1>
+        <div className="text-gray-600">
+          {t('print.summary', { count: sessions.length, time: timeFormat.timestamp(new Date()) })}
+        </div>
+      </header>
+
+      {days.map(([day, daySessions], index) => (
+        <section key={day} className={index > 0 ? 'break-before-page' : ''}>
+          <h2 className="text-sm font-semibold border-b border-black pb-1 mb-1 break-after-avoid">
+            {timeFormat.dayLabel(day)}
+          </h2>
+          <ol>
+            {daySessions.map(session => (
+              <li key={session.id} className="flex items-start gap-3 py-1 border-b border-gray-300 break-inside-avoid">
+                <div className="w-24 shrink-0 font-medium tabular-nums">
+                  {timeFormat.timeRange(session.slot_start, session.slot_end)}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="font-semibold">{session.title}</div>
+                  <div className="text-gray-700">
+                    {[
+                      session.slot_room?.name,
+                      (session.speakers || []).map(speaker => speaker.name).join(', ')
+                    ].filter(Boolean).join(' · ')}
+                  </div>
+                  {includeDescriptions && session.description && (
+                    <p className="mt-1 text-gray-700">{session.description}</p>
+                  )}
+                </div>
+                {includeQrCodes && (
+                  <QRCodeSVG value={sessionPermalink(session.id)} size={48} className="shrink-0" />
+                )}
+              </li>
+            ))}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default PrintAgenda;
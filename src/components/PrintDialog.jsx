@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/AlertDialog';
+import useI18n from '../hooks/useI18n';
+
+// Choose what goes in the printed agenda. `counts` has the number of sessions
+// for each scope.
+const PrintDialog = ({ open, onOpenChange, defaultScope, counts, onPrint }) => {
+  const [scope, setScope] = useState(defaultScope);
+  const [includeDescriptions, setIncludeDescriptions] = useState(false);
+  const [includeQrCodes, setIncludeQrCodes] = useState(true);
+  const { t } = useI18n();
+
+  // Each time it opens, start from the view it was opened in
+  useEffect(() => {
+    if (open) setScope(defaultScope);
+  }, [open, defaultScope]);
+
+  const scopes = [
+    { value: 'bookmarks', label: t('export.mySchedule') },
+    { value: 'filtered', label: t('export.filtered') }
+  ];
+
+  return (
+    <AlertDialog open={open} onOpenChange={onOpenChange}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>{t('print.title')}</AlertDialogTitle>
+          <AlertDialogDescription>{t('print.description')}</AlertDialogDescription>
+        </AlertDialogHeader>
+
+        <div className="space-y-3 text-sm">
+          <fieldset className="space-y-1">
+            <legend className="font-medium text-gray-900 mb-1">{t('print.scope')}</legend>
+            {scopes.map(option => (
+              <label key={option.value} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="print-scope"
+                  value={option.value}
+                  checked={scope === option.value}
+                  onChange={() => setScope(option.value)}
+                />
+                <span className="flex-1">{option.label}</span>
+                <span className="text-gray-400">{counts[option.value]}</span>
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={includeDescriptions}
+              onChange={(e) => setIncludeDescriptions(e.target.checked)}
+            />
+            {t('print.descriptions')}
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={includeQrCodes}
+              onChange={(e) => setIncludeQrCodes(e.target.checked)}
+            />
+            {t('print.qrCodes')}
+          </label>
+        </div>
+
+        <AlertDialogFooter>
+          <AlertDialogCancel>{t('common.cancel')}</AlertDialogCancel>
+          <AlertDialogAction
+            onClick={() => onPrint({ scope, includeDescriptions, includeQrCodes })}
+            disabled={counts[scope] === 0}
+          >
+            {t('print.print')}
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default PrintDialog;
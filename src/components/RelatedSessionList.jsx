@@ -0,0 +1,47 @@
+import React from 'react';
+import { Bookmark } from 'lucide-react';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+
+// Matches from lib/related, each with why it was suggested
+const RelatedSessionList = ({ matches, bookmarkedSessions, onToggleBookmark, onOpenSession }) => {
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  return (
+    <ul className="space-y-2">
+      {matches.map(({ session, reasons }) => {
+        const isBookmarked = bookmarkedSessions.includes(session.id);
+        return (
+          <li key={session.id} className="flex items-start justify-between gap-2 border rounded-lg p-3 bg-white">
+            <div className="min-w-0">
+              <button onClick={() => onOpenSession(session.id)} className="font-medium text-start hover:underline">
+                {session.title}
+              </button>
+              <div className="text-sm text-gray-600">
+                {timeFormat.shortDay(session.slot_start)}, {timeFormat.timeRange(session.slot_start, session.slot_end)} | {t('session.room', { room: session.slot_room?.name })}
+              </div>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {reasons.map(reason => (
+                  <span key={`${reason.type}:${reason.value}`} className="text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-800">
+                    {t(`related.reason.${reason.type}`, { value: reason.value })}
+                  </span>
+                ))}
+              </div>
+            </div>
+            <button
+              onClick={() => onToggleBookmark(session.id)}
+              aria-label={t('session.bookmark')}
+              aria-pressed={isBookmarked}
+              className={`p-2 rounded-full ${isBookmarked ? 'text-yellow-500' : 'text-gray-400'}`}
+            >
+              <Bookmark className={`w-5 h-5 ${isBookmarked ? 'fill-current' : ''}`} />
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default RelatedSessionList;
@@ -1,64 +1,180 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { Search, Calendar, Bookmark, ExternalLink, X, RefreshCw, ArrowDown } from 'lucide-react';
+import { Search, Calendar, Bookmark, ExternalLink, X, RefreshCw, ArrowDown, WifiOff, History, Link, Users, LayoutGrid, SlidersHorizontal, Mic, Bell, BellOff, Sparkles, Layers } from 'lucide-react';
+import ChangeLogDialog from './ChangeLogDialog';
+import ConflictGroup from './ConflictGroup';
+import ExportMenu from './ExportMenu';
+import TeamDialog from './TeamDialog';
+import PlannerDialog from './PlannerDialog';
+import PrintDialog from './PrintDialog';
+import PrintAgenda from './PrintAgenda';
+import SessionDetailPanel from './SessionDetailPanel';
+import BookmarkSuggestions from './BookmarkSuggestions';
+import TimetableView from './TimetableView';
+import Highlight from './Highlight';
+import MultiSelect from './MultiSelect';
+import FilterPresets from './FilterPresets';
+import SpeakersView from './SpeakersView';
+import ErrorBanner from './ErrorBanner';
+import Toaster from './Toaster';
+import useToasts from '../hooks/useToasts';
+import useScheduleData from '../hooks/useScheduleData';
+import useReminders from '../hooks/useReminders';
+import UpNextStrip from './UpNextStrip';
+import VirtualList from './VirtualList';
+import TimeSettingsMenu from './TimeSettingsMenu';
+import LanguageMenu from './LanguageMenu';
+import SessionNotes from './SessionNotes';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+import useElementHeight from '../hooks/useElementHeight';
+import useScrollMemory from '../hooks/useScrollMemory';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import usePrintAgenda from '../hooks/usePrintAgenda';
+import useSessionQuery from '../hooks/useSessionQuery';
+import useUserData, { useUserDataStore } from '../hooks/useUserData';
 import {
-    AlertDialog,
-    AlertDialogAction,
-    AlertDialogContent,
-    AlertDialogDescription,
-    AlertDialogFooter,
-    AlertDialogHeader,
-    AlertDialogTitle,
-  } from "../components/ui/AlertDialog";
-
-// Helper to create a search index
-const createSearchIndex = (sessions) => {
-  return sessions.map(session => ({
-    ...session,
-    searchText: (
-      session.title.toLowerCase() + ' ' +
-      session.description.toLowerCase() + ' ' +
-      (session.track || '').toLowerCase() + ' ' +
-      (session.speakers || []).map(s => s.name.toLowerCase()).join(' ')
-    )
-  }));
-};
+  DEFAULT_FILTERS,
+  hasActiveFilters,
+  addValue,
+  upsertPreset
+} from '../lib/filters';
+import { buildItinerary, sessionsOverlap } from '../lib/conflicts';
+import { downloadCalendar, updateCalendarRevisions, calendarFeedUrl } from '../lib/ics';
+import { downloadFile } from '../lib/download';
+import { updateSessionNote, noteTexts, annotatedSessions, buildNotesMarkdown } from '../lib/sessionNotes';
+import { parseUrlState, buildUrlSearch, differsBeyondSearch, sessionPermalink } from '../lib/urlState';
+import { readShareFromUrl, upsertTeammate } from '../lib/teamShare';
+import { buildSpeakerIndex, speakerKey } from '../lib/speakers';
+import { bookmarkSuggestions } from '../lib/related';
+import { isOngoing } from '../lib/nowNext';
+import {
+  diffSessions,
+  hasChanges,
+  bookmarkAlerts,
+  appendChangeLog
+} from '../lib/changeLog';
+import { systemClock } from '../lib/clock';
+import { SNOOZE_MINUTES, minutesUntil } from '../lib/reminders';
+import {
+  notificationsSupported,
+  notificationsGranted,
+  requestNotificationPermission,
+  showNotification
+} from '../lib/notifications';
 
 const NOW_MARKER_ID = 'current-time-marker';
 
+// Height of the fixed top bar; matches the pt-16 / top-16 offsets below it
+const TOP_BAR_HEIGHT = 64;
+
+// How often the schedule is re-fetched in the background while visible
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+// Group key for ranked search results, which aren't split by day
+const RESULTS_GROUP = 'results';
+
+// Heading announced when moving to each view
+const VIEW_TITLES = {
+  schedule: 'nav.schedule',
+  grid: 'nav.timetable',
+  bookmarks: 'nav.mySchedule',
+  speakers: 'nav.speakers'
+};
+
+// How long the result count has to stay put before it's announced
+const ANNOUNCE_DELAY = 600;
+
+const prefersReducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+// Sessions shown by one row of the virtualized list
+const rowSessions = (row) => {
+  if (row.type === 'session') return [row.session];
+  if (row.type === 'group') return row.entry.sessions;
+  if (row.type === 'timetable') return row.sessions;
+  return [];
+};
+
+// First guess at a row's height, until it has been rendered and measured
+const estimateRowSize = (row) => {
+  if (row.type === 'day') return 72;
+  if (row.type === 'group') return row.entry.sessions.length * 190 + 48;
+  if (row.type === 'timetable') {
+    const start = Math.min(...row.sessions.map(session => new Date(session.slot_start).getTime()));
+    const end = Math.max(...row.sessions.map(session => new Date(session.slot_end).getTime()));
+    return ((end - start) / (60 * 1000)) * 2 + 96;
+  }
+  return 190;
+};
+
+const formatAlert = (alert, t, timeFormat) => {
+  if (alert.kind === 'cancelled') return t('alerts.cancelled', { title: alert.title });
+  if (alert.kind === 'moved') return t('alerts.moved', { room: alert.after || t('alerts.anotherRoom'), title: alert.title });
+  return t('alerts.rescheduled', { time: timeFormat.dateTime(alert.after.start), title: alert.title });
+};
+
 const SessionCard = React.memo(({ 
   session, 
   showTimeline, 
   onToggleBookmark, 
   isBookmarked,
+  isFocused,
+  isCurrent,
+  highlightTerms,
+  teammates,
+  onCopyLink,
+  onSpeakerClick,
+  itineraryStatus,
+  onChooseAttending,
   onRoomClick,
-  onTrackClick 
+  onTrackClick,
+  notes,
+  onUpdateNotes,
+  onOpenDetails,
+  onFocusCard
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [isLinkCopied, setIsLinkCopied] = useState(false);
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
   
   const startTime = new Date(session.slot_start);
   const endTime = new Date(session.slot_end);
-  const currentTime = new Date();
-  const isCurrentSession = startTime <= currentTime && endTime >= currentTime;
+
+  const handleCopyLink = async () => {
+    if (await onCopyLink(session.id)) {
+      setIsLinkCopied(true);
+      setTimeout(() => setIsLinkCopied(false), 2000);
+    }
+  };
 
   return (
     <div className="relative">
-      {showTimeline && isCurrentSession && (
-        <div id={NOW_MARKER_ID} className="absolute -left-4 right-0 h-0.5 bg-red-500 z-10" style={{ top: '50%' }} />
+      {showTimeline && isCurrent && (
+        <div id={NOW_MARKER_ID} className="absolute -start-4 end-0 h-0.5 bg-red-500 z-10" style={{ top: '50%' }} />
       )}
-      <div className={`border rounded-lg p-4 mb-4 bg-white shadow-sm hover:shadow-md transition-shadow ${
-        isCurrentSession ? 'border-red-500' : ''
-      }`}>
+      <article
+        id={`session-${session.id}`}
+        tabIndex={-1}
+        aria-labelledby={`session-${session.id}-title`}
+        onFocus={() => onFocusCard(session.id)}
+        className={`border rounded-lg p-4 mb-4 bg-white shadow-sm hover:shadow-md transition-shadow focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+          isCurrent ? 'border-red-500' : ''
+        } ${isFocused ? 'ring-2 ring-blue-500' : ''} ${itineraryStatus === 'backup' ? 'opacity-60' : ''}`}
+      >
         <div className="flex justify-between items-start">
           <div className="flex-1">
-            <h3 className="text-lg font-semibold">{session.title}</h3>
+            <h3 id={`session-${session.id}-title`} className="text-lg font-semibold">
+              <button onClick={() => onOpenDetails(session.id)} className="text-start hover:underline">
+                <Highlight text={session.title} terms={highlightTerms} />
+              </button>
+            </h3>
             <div className="text-sm text-gray-600 mt-1">
-              {startTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })} - {
-                endTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })} | 
+              {timeFormat.timeRange(startTime, endTime)} | 
               <button 
                 onClick={() => onRoomClick(session.slot_room?.name)}
-                className="ml-1 text-blue-600 hover:underline"
+                className="ms-1 text-blue-600 hover:underline"
               >
-                Room: {session.slot_room?.name}
+                {t('session.room', { room: session.slot_room?.name })}
               </button>
             </div>
             {session.track && (
@@ -69,34 +185,81 @@ const SessionCard = React.memo(({
                 {session.track}
               </button>
             )}
+            {itineraryStatus && (
+              <div className="flex items-center gap-2 mt-2">
+                {itineraryStatus === 'backup' && (
+                  <span className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-600">{t('session.backup')}</span>
+                )}
+                {itineraryStatus === 'conflict' && (
+                  <span className="text-xs px-2 py-1 rounded bg-amber-100 text-amber-800">{t('session.conflict')}</span>
+                )}
+                <button
+                  onClick={() => onChooseAttending(session.id)}
+                  className={`text-xs px-2 py-1 rounded ${
+                    itineraryStatus === 'attending'
+                      ? 'bg-green-600 text-white hover:bg-green-700'
+                      : 'border border-green-600 text-green-700 hover:bg-green-50'
+                  }`}
+                >
+                  {itineraryStatus === 'attending' ? t('session.attending') : t('session.attend')}
+                </button>
+              </div>
+            )}
+          </div>
+          <div className="flex items-center">
+            {isLinkCopied && <span className="text-xs text-green-600">{t('session.linkCopied')}</span>}
+            <button
+              onClick={() => onOpenDetails(session.id)}
+              title={t('session.related')}
+              className="p-2 rounded-full text-gray-400 hover:text-gray-600"
+            >
+              <Layers className="w-4 h-4" />
+            </button>
+            <button
+              onClick={handleCopyLink}
+              title={t('session.copyLink')}
+              className="p-2 rounded-full text-gray-400 hover:text-gray-600"
+            >
+              <Link className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => onToggleBookmark(session.id)}
+              aria-label={t('session.bookmark')}
+              aria-pressed={isBookmarked}
+              aria-keyshortcuts="b"
+              className={`p-2 rounded-full ${isBookmarked ? 'text-yellow-500' : 'text-gray-400'}`}
+            >
+              <Bookmark className={`w-5 h-5 ${isBookmarked ? 'fill-current' : ''}`} />
+            </button>
           </div>
+        </div>
+
+        <p
+          id={`session-${session.id}-description`}
+          className={`mt-2 text-sm text-gray-600 ${isExpanded ? '' : 'line-clamp-2'}`}
+        >
+          <Highlight text={session.description} terms={highlightTerms} />
+        </p>
+        {session.description.length > 100 && (
           <button
-            onClick={() => onToggleBookmark(session.id)}
-            className={`p-2 rounded-full ${isBookmarked ? 'text-yellow-500' : 'text-gray-400'}`}
+            onClick={() => setIsExpanded(!isExpanded)}
+            aria-expanded={isExpanded}
+            aria-controls={`session-${session.id}-description`}
+            className="text-xs text-blue-600 hover:text-blue-800 mt-1"
           >
-            <Bookmark className={`w-5 h-5 ${isBookmarked ? 'fill-current' : ''}`} />
+            {isExpanded ? t('session.showLess') : t('session.showMore')}
           </button>
-        </div>
-        
-        <button 
-          onClick={() => setIsExpanded(!isExpanded)}
-          className="w-full text-left mt-2"
-        >
-          <p className={`text-sm text-gray-600 ${isExpanded ? '' : 'line-clamp-2'}`}>
-            {session.description}
-          </p>
-          {session.description.length > 100 && (
-            <span className="text-xs text-blue-600 hover:text-blue-800 mt-1">
-              {isExpanded ? 'Show less' : 'Show more'}
-            </span>
-          )}
-        </button>
+        )}
         
         {session.speakers && session.speakers.length > 0 && (
           <div className="mt-3">
             <div className="flex flex-wrap gap-2">
               {session.speakers.map(speaker => (
-                <div key={speaker.id} className="flex items-center space-x-2">
+                <button
+                  key={speaker.id}
+                  onClick={() => onSpeakerClick(speakerKey(speaker))}
+                  className="flex items-center gap-2 rounded-full hover:bg-gray-100 pe-2"
+                >
                   {speaker.avatar && (
                     <img 
                       src={speaker.avatar} 
@@ -104,13 +267,24 @@ const SessionCard = React.memo(({
                       className="w-6 h-6 rounded-full"
                     />
                   )}
-                  <span className="text-sm font-medium">{speaker.name}</span>
-                </div>
+                  <span className="text-sm font-medium">
+                    <Highlight text={speaker.name} terms={highlightTerms} />
+                  </span>
+                </button>
               ))}
             </div>
           </div>
         )}
 
+        {teammates && teammates.length > 0 && (
+          <div className="mt-3 flex items-center flex-wrap gap-1 text-xs text-purple-800">
+            <Users className="w-4 h-4" />
+            {teammates.map(name => (
+              <span key={name} className="bg-purple-100 px-2 py-0.5 rounded-full">{name}</span>
+            ))}
+          </div>
+        )}
+
         {(session.resources_presentation || session.resources_slides) && (
           <div className="mt-3 flex gap-2">
             {session.resources_presentation && (
@@ -121,7 +295,7 @@ const SessionCard = React.memo(({
                 className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
               >
                 <ExternalLink className="w-4 h-4" />
-                Presentation
+                {t('session.presentation')}
               </a>
             )}
             {session.resources_slides && (
@@ -132,185 +306,440 @@ const SessionCard = React.memo(({
                 className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
               >
                 <ExternalLink className="w-4 h-4" />
-                Slides
+                {t('session.slides')}
               </a>
             )}
           </div>
         )}
-      </div>
+
+        <SessionNotes
+          entry={notes}
+          highlightTerms={highlightTerms}
+          onChange={changes => onUpdateNotes(session.id, changes)}
+        />
+      </article>
     </div>
   );
 });
 
-const ScheduleApp = () => {
-  const [sessions, setSessions] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [isRefreshing, setIsRefreshing] = useState(false);
-  const [filteredSessions, setFilteredSessions] = useState([]);
-  const [searchIndex, setSearchIndex] = useState([]);
-  const [bookmarkedSessions, setBookmarkedSessions] = useState(() => {
-    try {
-      const stored = localStorage.getItem('devcon-bookmarked-sessions');
-      return stored ? JSON.parse(stored) : [];
-    } catch {
-      return [];
-    }
+const ScheduleApp = ({ clock = systemClock }) => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [sortByRelevance, setSortByRelevance] = useState(true);
+  const [bookmarkedSessions, setBookmarkedSessions] = useUserData('bookmarks');
+  const [attendingSessions, setAttendingSessions] = useUserData('attending');
+  const [sessionNotes, setSessionNotes] = useUserData('notes');
+  const searchableNotes = useMemo(() => noteTexts(sessionNotes), [sessionNotes]);
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search));
+  const [team, setTeam] = useUserData('team');
+  const [shareName, setShareName] = useUserData('shareName');
+  const [isPlannerOpen, setIsPlannerOpen] = useState(false);
+  const [isPrintDialogOpen, setIsPrintDialogOpen] = useState(false);
+  const [detailSessionId, setDetailSessionId] = useState(null);
+  // The card keyboard shortcuts act on: the last one focused or moved to
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const viewHeadingRef = useRef(null);
+  const [searchTerm, setSearchTerm] = useState(initialUrlState.searchTerm);
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [showMoreFilters, setShowMoreFilters] = useState(() => {
+    const { days, tracks, rooms, ...advanced } = initialUrlState.filters;
+    return hasActiveFilters({ ...DEFAULT_FILTERS, ...advanced });
   });
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedDay, setSelectedDay] = useState('all');
-  const [selectedTrack, setSelectedTrack] = useState('all');
-  const [selectedRoom, setSelectedRoom] = useState('all');
-  const [view, setView] = useState('schedule');
+  const [filterClock, setFilterClock] = useState(() => Date.now());
+  const [presets, setPresets] = useUserData('filterPresets');
+  const [view, setView] = useState(initialUrlState.view);
+  const [focusedSessionId, setFocusedSessionId] = useState(initialUrlState.sessionId);
+  const [selectedSpeakerId, setSelectedSpeakerId] = useState(initialUrlState.speakerId);
+  const [followedSpeakers, setFollowedSpeakers] = useUserData('followedSpeakers');
+  const hasScrolledToFocus = useRef(false);
+  const listRef = useRef(null);
+  const [rowSizes] = useState(() => new Map());
+  const [filterBarRef, filterBarHeight] = useElementHeight();
   const searchInputRef = useRef(null);
-  const searchTimeout = useRef(null);
   const [isUpdateDialogOpen, setIsUpdateDialogOpen] = useState(false);
-  const [updateStats, setUpdateStats] = useState({ added: 0, modified: 0, unchanged: 0 });
+  const [latestDiff, setLatestDiff] = useState(null);
+  const [changeLog, setChangeLog] = useUserData('changeLog');
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+  const [pendingShare, setPendingShare] = useState(() => readShareFromUrl({ fallbackName: t('team.unnamed') }));
+  const [isTeamDialogOpen, setIsTeamDialogOpen] = useState(() => pendingShare !== null);
+  const [wantsNotifications, setNotificationsEnabled] = useUserData('notificationsEnabled');
+  const notificationsEnabled = wantsNotifications && notificationsGranted();
+  const { toasts, pushToast, dismissToast } = useToasts();
+  const userData = useUserDataStore();
+  const restoreInputRef = useRef(null);
+  const bookmarkedRef = useRef(bookmarkedSessions);
+  bookmarkedRef.current = bookmarkedSessions;
+  const notificationsEnabledRef = useRef(notificationsEnabled);
+  notificationsEnabledRef.current = notificationsEnabled;
+  // Messages raised from long-lived callbacks use the current language
+  const i18nRef = useRef({ t, timeFormat });
+  i18nRef.current = { t, timeFormat };
 
-  // Load initial data
-  const fetchData = async (showRefreshing = false) => {
-    if (showRefreshing) setIsRefreshing(true);
-    else setIsLoading(true);
-    
-    try {
-      const response = await fetch('https://corsproxy.io/?https://api.devcon.org/sessions?sort=slot_start&order=asc&event=devcon-7&size=1000');
-      const data = await response.json();
-      const newSessions = data.data.items;
-      
-      // Compare with existing sessions to detect changes
-      const stats = {
-        added: 0,
-        modified: 0,
-        unchanged: 0
-      };
-  
-      if (sessions.length > 0) {
-        const existingIds = new Set(sessions.map(s => s.id));
-        
-        newSessions.forEach(session => {
-          const existingSession = sessions.find(s => s.id === session.id);
-          if (!existingSession) {
-            stats.added++;
-          } else if (JSON.stringify(existingSession) !== JSON.stringify(session)) {
-            stats.modified++;
-          } else {
-            stats.unchanged++;
-          }
-        });
-  
-        setUpdateStats(stats);
-        setIsUpdateDialogOpen(true);
-      }
-  
-      setSessions(newSessions);
-      setFilteredSessions(newSessions);
-    } catch (error) {
-      console.error('Failed to fetch sessions:', error);
-    } finally {
-      setIsLoading(false);
-      setIsRefreshing(false);
+  // Alert about bookmarked sessions that were cancelled, rescheduled or moved
+  const announceBookmarkChanges = (diff) => {
+    const alerts = bookmarkAlerts(diff, bookmarkedRef.current);
+    if (alerts.length === 0) return;
+
+    const { t, timeFormat } = i18nRef.current;
+    const title = t('alerts.title', { count: alerts.length });
+    const lines = alerts.map(alert => formatAlert(alert, t, timeFormat));
+
+    pushToast({
+      id: 'bookmark-changes',
+      tone: 'warning',
+      title,
+      lines,
+      duration: 0,
+      actions: [{ label: t('common.viewDetails'), onClick: () => showChanges(diff) }]
+    });
+    if (notificationsEnabledRef.current && document.hidden) {
+      showNotification(title, { body: lines.join('\n'), tag: 'bookmark-changes' });
+    }
+  };
+
+  // Background syncs only speak up when bookmarked sessions are affected; a
+  // manual refresh always reports its outcome
+  const handleScheduleLoad = ({ previous, sessions: newSessions, isChanged, isManual }) => {
+    if (previous.length === 0) return;
+    const { t } = i18nRef.current;
+
+    if (!isChanged) {
+      if (isManual) pushToast({ id: 'refresh-result', title: t('sync.noChanges') });
+      return;
+    }
+
+    // Compare with existing sessions to detect changes
+    const diff = { ...diffSessions(previous, newSessions), at: new Date().toISOString() };
+    if (hasChanges(diff)) {
+      setChangeLog(prev => appendChangeLog(prev, diff));
+      announceBookmarkChanges(diff);
+    }
+    if (isManual) {
+      pushToast({
+        id: 'refresh-result',
+        tone: hasChanges(diff) ? 'success' : 'info',
+        title: hasChanges(diff) ? t('sync.updated') : t('sync.noChanges'),
+        lines: hasChanges(diff)
+          ? [[
+              t('changes.added', { count: diff.added.length }),
+              t('changes.removed', { count: diff.removed.length }),
+              t('changes.changed', { count: diff.changed.length })
+            ].join(' · ')]
+          : [],
+        actions: hasChanges(diff) ? [{ label: t('common.viewDetails'), onClick: () => showChanges(diff) }] : []
+      });
+    }
+  };
+
+  const {
+    sessions,
+    lastSyncedAt,
+    isLoading,
+    isRefreshing,
+    error: fetchError,
+    refresh,
+    dismissError
+  } = useScheduleData({ interval: SYNC_INTERVAL, onLoad: handleScheduleLoad });
+  const fetchErrorMessage = fetchError && (fetchError.name === 'DataSourceError' && fetchError.code
+    ? t(`load.error.${fetchError.code}`, { source: fetchError.source, status: fetchError.status })
+    : t('load.unknownError'));
+
+  // Starting-soon reminders for bookmarked sessions
+  const [reminderSettings, setReminderSettings] = useUserData('reminderSettings');
+
+  const handleReminder = (session, now) => {
+    const title = t('reminders.startingIn', { count: minutesUntil(session.slot_start, now) });
+    const lines = [session.title, session.slot_room?.name].filter(Boolean);
+
+    pushToast({
+      id: `reminder-${session.id}`,
+      title,
+      lines,
+      duration: 0,
+      actions: [
+        { label: t('reminders.snooze', { count: SNOOZE_MINUTES }), onClick: () => reminders.snooze(session) },
+        { label: t('common.dismiss'), onClick: () => reminders.dismiss(session) }
+      ]
+    });
+    if (notificationsEnabledRef.current && document.hidden) {
+      showNotification(title, { body: lines.join('\n'), tag: `reminder-${session.id}` });
+    }
+  };
+
+  const reminders = useReminders({
+    sessions,
+    bookmarkedSessions,
+    settings: reminderSettings,
+    onReminder: handleReminder,
+    clock
+  });
+
+  const toggleNotifications = async () => {
+    if (notificationsEnabled) {
+      setNotificationsEnabled(false);
+      return;
+    }
+    const granted = await requestNotificationPermission();
+    setNotificationsEnabled(granted);
+    if (!granted) {
+      pushToast({ title: t('notifications.blocked'), lines: [t('notifications.blockedHint')] });
     }
   };
 
+  // Saved data that couldn't be read on startup was reset, or changes can't
+  // be saved this time; say so rather than losing anything quietly
+  useEffect(() => {
+    const codes = new Set(userData.issues.map(issue => issue.code));
+    if (codes.has('corrupted') || codes.has('invalid-fields')) {
+      pushToast({
+        id: 'user-data-issues',
+        tone: 'warning',
+        title: t('backup.recoveredTitle'),
+        lines: [t('backup.recoveredHint')],
+        duration: 0
+      });
+    }
+    if (codes.has('newer-version')) {
+      pushToast({
+        id: 'user-data-unsaved',
+        tone: 'warning',
+        title: t('backup.storedNewerTitle'),
+        lines: [t('backup.storedNewerHint')],
+        duration: 0
+      });
+    } else if (codes.has('not-persisted')) {
+      pushToast({
+        id: 'user-data-unsaved',
+        tone: 'warning',
+        title: t('backup.notPersistedTitle'),
+        lines: [t('backup.notPersistedHint')],
+        duration: 0
+      });
+    }
+  }, [userData]);
+
+  // Track connectivity; useScheduleData revalidates when it comes back
   useEffect(() => {
-    fetchData();
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
   }, []);
 
-  // Create search index when sessions load
+  // Mirror filters and view into the URL. Typing in search replaces the
+  // current history entry; everything else pushes a new one.
   useEffect(() => {
-    setSearchIndex(createSearchIndex(sessions));
-  }, [sessions]);
+    const state = {
+      searchTerm,
+      filters,
+      view,
+      sessionId: focusedSessionId,
+      speakerId: view === 'speakers' ? selectedSpeakerId : null
+    };
+    const search = buildUrlSearch(state);
+    if (search === window.location.search) return;
 
-  // Save bookmarks to localStorage
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (differsBeyondSearch(state, parseUrlState(window.location.search))) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [searchTerm, filters, view, focusedSessionId, selectedSpeakerId]);
+
+  // Restore state when navigating back and forward
   useEffect(() => {
+    const handlePopState = () => {
+      const state = parseUrlState(window.location.search);
+      setSearchTerm(state.searchTerm);
+      setFilters(state.filters);
+      setView(state.view);
+      setFocusedSessionId(state.sessionId);
+      setSelectedSpeakerId(state.speakerId);
+      hasScrolledToFocus.current = false;
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Copy a session permalink and point the address bar at it
+  const copySessionLink = useCallback(async (sessionId) => {
+    setFocusedSessionId(sessionId);
+    hasScrolledToFocus.current = true;
     try {
-      localStorage.setItem('devcon-bookmarked-sessions', JSON.stringify(bookmarkedSessions));
+      await navigator.clipboard.writeText(sessionPermalink(sessionId));
+      return true;
     } catch (error) {
-      console.error('Failed to save bookmarks:', error);
+      console.error('Failed to copy session link:', error);
+      return false;
     }
-  }, [bookmarkedSessions]);
+  }, []);
 
-  // Scroll to current time
-  const scrollToNow = useCallback(() => {
-    const marker = document.getElementById(NOW_MARKER_ID);
-    if (marker) {
-      marker.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    }
+  const addTeammate = useCallback((share) => {
+    setTeam(prev => upsertTeammate(prev, share));
+    setPendingShare(null);
+  }, []);
+
+  const mergeShare = useCallback((share) => {
+    setBookmarkedSessions(prev => [...prev, ...share.sessionIds.filter(id => !prev.includes(id))]);
+    setPendingShare(null);
+  }, []);
+
+  // Add a planned itinerary to My Schedule
+  const acceptPlan = useCallback((sessionIds) => {
+    setBookmarkedSessions(prev => [...prev, ...sessionIds.filter(id => !prev.includes(id))]);
+    setView('bookmarks');
+  }, []);
+
+  const removeTeammate = useCallback((name) => {
+    setTeam(prev => prev.filter(member => member.name !== name));
+  }, []);
+
+  // Teammate names going to each session
+  const teammatesBySession = useMemo(() => {
+    const result = {};
+    team.forEach(member => {
+      member.sessionIds.forEach(id => {
+        if (!result[id]) result[id] = [];
+        result[id].push(member.name);
+      });
+    });
+    return result;
+  }, [team]);
+
+  const speakers = useMemo(() => buildSpeakerIndex(sessions), [sessions]);
+
+  // Auto-bookmark sessions of followed speakers that haven't been seen yet
+  useEffect(() => {
+    const newSessionIds = new Set();
+    const next = { ...followedSpeakers };
+
+    speakers.forEach(speaker => {
+      const seen = next[speaker.key];
+      if (!seen) return;
+      const unseen = speaker.sessions.map(session => session.id).filter(id => !seen.includes(id));
+      if (unseen.length > 0) {
+        next[speaker.key] = [...seen, ...unseen];
+        unseen.forEach(id => newSessionIds.add(id));
+      }
+    });
+
+    if (newSessionIds.size === 0) return;
+    setFollowedSpeakers(next);
+    setBookmarkedSessions(prev => [...prev, ...Array.from(newSessionIds).filter(id => !prev.includes(id))]);
+  }, [speakers, followedSpeakers]);
+
+  const toggleFollowSpeaker = useCallback((speaker) => {
+    setFollowedSpeakers(prev => {
+      const next = { ...prev };
+      if (next[speaker.key]) delete next[speaker.key];
+      else next[speaker.key] = [];
+      return next;
+    });
   }, []);
 
+  const openSpeaker = useCallback((speakerId) => {
+    setSelectedSpeakerId(speakerId);
+    setView('speakers');
+  }, []);
+
+  const unseenChanges = changeLog.filter(entry => !entry.seen).length;
+
+  const openChangeLog = () => {
+    setLatestDiff(null);
+    setIsUpdateDialogOpen(true);
+  };
+
+  const showChanges = (diff) => {
+    setLatestDiff(diff);
+    setIsUpdateDialogOpen(true);
+  };
+
+  const handleChangeLogOpenChange = (open) => {
+    setIsUpdateDialogOpen(open);
+    if (!open) {
+      setChangeLog(prev => prev.some(entry => !entry.seen)
+        ? prev.map(entry => ({ ...entry, seen: true }))
+        : prev);
+    }
+  };
+
   // Memoize unique tracks, rooms, and days
   const { tracks, rooms, days } = useMemo(() => {
     const trackSet = new Set(sessions.map(session => session.track).filter(Boolean));
     const roomSet = new Set(sessions.map(session => session.slot_room?.name).filter(Boolean));
-    const daySet = new Set(sessions.map(session => 
-      new Date(session.slot_start).toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        month: 'short', 
-        day: 'numeric' 
-      })
-    ));
+    const daySet = new Set(sessions.map(session => timeFormat.dayKey(session.slot_start)));
 
     return {
       tracks: Array.from(trackSet).sort(),
       rooms: Array.from(roomSet).sort(),
-      days: Array.from(daySet).sort((a, b) => new Date(a) - new Date(b))
+      days: Array.from(daySet).sort()
     };
-  }, [sessions]);
-
-  // Optimized filter function
-  const filterSessions = useCallback(() => {
-    // Start with the indexed sessions
-    let filtered = searchIndex;
-
-    // Apply search filter first using the index
-    if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase();
-      filtered = filtered.filter(session => 
-        session.searchText.includes(searchLower)
-      );
-    }
+  }, [sessions, timeFormat]);
 
-    // Then apply other filters
-    if (selectedDay !== 'all') {
-      filtered = filtered.filter(session => 
-        new Date(session.slot_start).toLocaleDateString('en-US', { 
-          weekday: 'long', 
-          month: 'short', 
-          day: 'numeric' 
-        }) === selectedDay
-      );
-    }
+  // Search and filtering run in a worker against precomputed indexes
+  const { matchingSessions: filteredSessions, highlights: searchHighlights } = useSessionQuery({
+    sessions,
+    searchTerm,
+    filters,
+    bookmarkedSessions,
+    notes: searchableNotes,
+    // Only "starting within" depends on the time; leaving it out otherwise
+    // saves re-running the query every minute
+    now: filters.startingWithin ? filterClock : undefined,
+    timeSettings: timeFormat.settings
+  });
 
-    if (selectedTrack !== 'all') {
-      filtered = filtered.filter(session => session.track === selectedTrack);
-    }
+  // Minute tick for what depends on the time: "starting within" filters and
+  // which sessions are on now
+  useEffect(() => {
+    const interval = setInterval(() => setFilterClock(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
 
-    if (selectedRoom !== 'all') {
-      filtered = filtered.filter(session => session.slot_room?.name === selectedRoom);
-    }
+  // Start a "starting within" filter from the current time, not the last tick
+  useEffect(() => {
+    if (filters.startingWithin) setFilterClock(Date.now());
+  }, [filters.startingWithin]);
 
-    setFilteredSessions(filtered);
-  }, [searchTerm, selectedDay, selectedTrack, selectedRoom, searchIndex]);
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
 
-  // Apply filters when any filter changes
-  useEffect(() => {
-    if (searchTimeout.current) {
-      clearTimeout(searchTimeout.current);
-    }
-    searchTimeout.current = setTimeout(filterSessions, 100);
-    return () => clearTimeout(searchTimeout.current);
-  }, [filterSessions]);
+  const savePreset = (name) => {
+    setPresets(prev => upsertPreset(prev, { name, searchTerm, filters }));
+  };
+
+  const applyPreset = (preset) => {
+    setSearchTerm(preset.searchTerm || '');
+    setFilters({ ...DEFAULT_FILTERS, ...preset.filters });
+    setView('schedule');
+  };
+
+  const deletePreset = (name) => {
+    setPresets(prev => prev.filter(preset => preset.name !== name));
+  };
 
   // Reset filters
   const resetFilters = () => {
     setSearchTerm('');
-    setSelectedDay('all');
-    setSelectedTrack('all');
-    setSelectedRoom('all');
+    setFilters(DEFAULT_FILTERS);
     if (searchInputRef.current) {
       searchInputRef.current.focus();
     }
   };
 
+  const updateNotes = useCallback((sessionId, changes) => {
+    setSessionNotes(prev => updateSessionNote(prev, sessionId, changes));
+  }, []);
+
   // Toggle bookmark
   const toggleBookmark = useCallback((sessionId) => {
     setBookmarkedSessions(prev => {
@@ -321,37 +750,54 @@ const ScheduleApp = () => {
     });
   }, []);
 
+  // Pick a session to attend, turning overlapping bookmarks into backups
+  const chooseAttending = useCallback((sessionId) => {
+    const chosen = sessions.find(session => session.id === sessionId);
+    if (!chosen) return;
+
+    const overlappingIds = sessions
+      .filter(session =>
+        session.id !== sessionId &&
+        bookmarkedSessions.includes(session.id) &&
+        sessionsOverlap(session, chosen)
+      )
+      .map(session => session.id);
+
+    setAttendingSessions(prev => {
+      if (prev.includes(sessionId)) {
+        return prev.filter(id => id !== sessionId);
+      }
+      return [...prev.filter(id => !overlappingIds.includes(id)), sessionId];
+    });
+  }, [sessions, bookmarkedSessions]);
+
   // Handle filter clicks
   const handleRoomClick = useCallback((room) => {
-    setSelectedRoom(room);
+    setFilters(prev => ({ ...prev, rooms: addValue(prev.rooms, room) }));
     setView('schedule');
   }, []);
 
   const handleTrackClick = useCallback((track) => {
-    setSelectedTrack(track);
+    setFilters(prev => ({ ...prev, tracks: addValue(prev.tracks, track) }));
     setView('schedule');
   }, []);
 
-  // Group sessions by day with current time marker
+  const isRankingResults = view === 'schedule' && sortByRelevance && searchTerm.trim() !== '';
+
+  // Group sessions by day
   const groupedSessions = useMemo(() => {
     const grouped = {};
-    const currentTime = new Date();
-    let hasCurrentSession = false;
     
-    const sessionsToGroup = view === 'schedule' ? filteredSessions : 
+    const sessionsToGroup = view !== 'bookmarks' ? filteredSessions : 
       sessions.filter(session => bookmarkedSessions.includes(session.id));
 
+    // Ranked search results are shown as one list, best match first
+    if (isRankingResults) {
+      return { grouped: sessionsToGroup.length > 0 ? { [RESULTS_GROUP]: sessionsToGroup } : {} };
+    }
+
     sessionsToGroup.forEach(session => {
-      const startTime = new Date(session.slot_start);
-      const endTime = new Date(session.slot_end);
-      const isCurrentSession = startTime <= currentTime && endTime >= currentTime;
-      if (isCurrentSession) hasCurrentSession = true;
-
-      const day = startTime.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        month: 'short', 
-        day: 'numeric' 
-      });
+      const day = timeFormat.dayKey(session.slot_start);
       
       if (!grouped[day]) {
         grouped[day] = [];
@@ -359,200 +805,798 @@ const ScheduleApp = () => {
       grouped[day].push(session);
     });
 
-    // Sort sessions within each day
+    // Sort sessions within each day, and the days themselves
     Object.keys(grouped).forEach(day => {
       grouped[day].sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start));
     });
+    const sortedGroups = Object.fromEntries(
+      Object.entries(grouped).sort(([a], [b]) => a.localeCompare(b))
+    );
+
+    return { grouped: sortedGroups };
+  }, [filteredSessions, sessions, bookmarkedSessions, view, isRankingResults, timeFormat]);
+
+  // Overlap groups and conflict counts per day for My Schedule
+  const itineraries = useMemo(() => {
+    if (view !== 'bookmarks') return {};
+
+    const result = {};
+    Object.entries(groupedSessions.grouped).forEach(([day, daySessions]) => {
+      result[day] = buildItinerary(daySessions, attendingSessions);
+    });
+    return result;
+  }, [groupedSessions, attendingSessions, view]);
+
+  // Flatten the day groups into rows for the virtualized list: a header per
+  // day followed by its cards, conflict groups or timetable
+  const rows = useMemo(() => {
+    const now = filterClock;
+    const result = [];
+
+    Object.entries(groupedSessions.grouped).forEach(([day, daySessions]) => {
+      const itinerary = itineraries[day];
+      result.push({ key: `${view}:day:${day}`, type: 'day', day, conflicts: itinerary?.conflicts || 0 });
+
+      if (view === 'grid') {
+        result.push({
+          key: `timetable:${day}`,
+          type: 'timetable',
+          sessions: daySessions,
+          isCurrent: daySessions.some(session => isOngoing(session, now))
+        });
+      } else if (itinerary) {
+        itinerary.entries.forEach(entry => {
+          const currentIds = entry.sessions.filter(session => isOngoing(session, now)).map(session => session.id);
+          result.push(entry.sessions.length > 1
+            ? { key: `group:${entry.sessions[0].id}`, type: 'group', entry, currentIds, isCurrent: currentIds.length > 0 }
+            : { key: `bookmark:${entry.sessions[0].id}`, type: 'session', session: entry.sessions[0], isCurrent: currentIds.length > 0 });
+        });
+      } else {
+        daySessions.forEach(session => {
+          result.push({ key: `session:${session.id}`, type: 'session', session, isCurrent: isOngoing(session, now) });
+        });
+      }
+    });
+
+    return result;
+  }, [groupedSessions, itineraries, view, filterClock]);
+
+  const hasCurrentSession = rows.some(row => row.isCurrent);
+
+  // "Because you bookmarked X", leaving out sessions that are already over
+  const suggestions = useMemo(
+    () => (view === 'bookmarks' ? bookmarkSuggestions(sessions, bookmarkedSessions, { now: clock.now() }) : []),
+    [view, sessions, bookmarkedSessions, clock]
+  );
+  const detailSession = detailSessionId && sessions.find(session => session.id === detailSessionId);
+
+  // Jump to what's on now. The timetable's now-line sits somewhere inside its
+  // day's row, so that one gets a second, finer scroll once it has rendered.
+  const scrollToNow = useCallback(async () => {
+    const index = rows.findIndex(row => row.isCurrent);
+    if (index === -1 || !listRef.current) return;
+    await listRef.current.scrollToIndex(index, { align: 'center' });
+    if (rows[index].type === 'timetable') {
+      document.getElementById(NOW_MARKER_ID)?.scrollIntoView({
+        behavior: prefersReducedMotion() ? 'auto' : 'smooth',
+        block: 'center'
+      });
+    }
+  }, [rows]);
+
+  // Scroll a permalinked session into view once its row exists
+  useEffect(() => {
+    if (!focusedSessionId || hasScrolledToFocus.current || !listRef.current) return;
+    const index = rows.findIndex(row => rowSessions(row).some(session => session.id === focusedSessionId));
+    if (index === -1) return;
+    hasScrolledToFocus.current = true;
+    listRef.current.scrollToIndex(index, { align: 'center' });
+  }, [focusedSessionId, rows]);
+
+  // Each view (and each speaker page) keeps its own scroll position
+  useScrollMemory(view === 'speakers' ? `speakers:${selectedSpeakerId || ''}` : view);
+
+  // Screen readers only hear a change of text, so a repeated message gets a
+  // trailing no-break space to tell it apart
+  const announce = useCallback((message) => {
+    setAnnouncement(prev => (prev === message ? `${message}\u00a0` : message));
+  }, []);
+
+  // Say how many sessions match once the search or filters settle
+  const announcedQuery = useRef(null);
+  useEffect(() => {
+    if (isLoading || view === 'bookmarks' || view === 'speakers') return;
+    const query = JSON.stringify([searchTerm, filters]);
+    if (announcedQuery.current === null) announcedQuery.current = query;
+    if (announcedQuery.current === query) return;
+
+    const timer = setTimeout(() => {
+      announcedQuery.current = query;
+      announce(t('a11y.results', { count: filteredSessions.length }));
+    }, ANNOUNCE_DELAY);
+    return () => clearTimeout(timer);
+  }, [filteredSessions, searchTerm, filters, view, isLoading, announce, t]);
+
+  // Moving to another view (or speaker) puts focus at the top of it, rather
+  // than leaving it on a control that has gone away. `/` from a view without
+  // a search field lands in the schedule's search field instead.
+  const focusSearchOnView = useRef(false);
+  const shownPage = useRef(`${view}:${selectedSpeakerId}`);
+  useEffect(() => {
+    const page = `${view}:${selectedSpeakerId}`;
+    if (shownPage.current === page) return;
+    shownPage.current = page;
+    setActiveSessionId(null);
+
+    if (focusSearchOnView.current && searchInputRef.current) {
+      focusSearchOnView.current = false;
+      searchInputRef.current.focus();
+      return;
+    }
+    viewHeadingRef.current?.focus({ preventScroll: true });
+  }, [view, selectedSpeakerId]);
+
+  // Sessions in the order j/k step through them, with the row each is in.
+  // Timetable sessions go by start time.
+  const navigableSessions = useMemo(() => rows.flatMap((row, rowIndex) => {
+    const rowItems = row.type === 'timetable'
+      ? [...row.sessions].sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start))
+      : rowSessions(row);
+    return rowItems.map(session => ({ session, rowIndex }));
+  }), [rows]);
+
+  const focusSession = useCallback(async ({ session, rowIndex }) => {
+    setActiveSessionId(session.id);
+    await listRef.current?.scrollToIndex(rowIndex, { align: 'center' });
+    // A lone card is centred by now; one inside a conflict group or timetable may still need scrolling to
+    document.getElementById(`session-${session.id}`)?.focus({ preventScroll: rows[rowIndex]?.type === 'session' });
+  }, [rows]);
+
+  // Step from the active session, or start at the first one in view
+  const moveFocus = (step) => {
+    if (navigableSessions.length === 0) return;
+    const current = navigableSessions.findIndex(entry => entry.session.id === activeSessionId);
+    if (current === -1) {
+      const top = TOP_BAR_HEIGHT + filterBarHeight;
+      const visible = navigableSessions.findIndex(entry =>
+        (document.getElementById(`session-${entry.session.id}`)?.getBoundingClientRect().bottom ?? -1) > top
+      );
+      focusSession(navigableSessions[Math.max(visible, 0)]);
+      return;
+    }
+    focusSession(navigableSessions[Math.min(Math.max(current + step, 0), navigableSessions.length - 1)]);
+  };
+
+  useKeyboardShortcuts({
+    '/': () => {
+      if (searchInputRef.current) {
+        searchInputRef.current.focus();
+        return;
+      }
+      focusSearchOnView.current = true;
+      setView('schedule');
+    },
+    j: () => moveFocus(1),
+    k: () => moveFocus(-1),
+    b: () => {
+      const session = sessions.find(candidate => candidate.id === activeSessionId);
+      if (!session) return;
+      const wasBookmarked = bookmarkedSessions.includes(session.id);
+      toggleBookmark(session.id);
+      announce(t(wasBookmarked ? 'a11y.unbookmarked' : 'a11y.bookmarked', { title: session.title }));
+    },
+    n: () => {
+      const now = Date.now();
+      const current = navigableSessions.find(entry => isOngoing(entry.session, now));
+      if (current) focusSession(current);
+      else announce(t('a11y.nothingNow'));
+    }
+  }, { enabled: !isLoading && view !== 'speakers' });
+
+  const bookmarked = useMemo(
+    () => sessions.filter(session => bookmarkedSessions.includes(session.id)),
+    [sessions, bookmarkedSessions]
+  );
+
+  // Printing from the browser menu prints whatever is on screen
+  const { job: printJob, print } = usePrintAgenda(() => ({
+    scope: view === 'bookmarks' ? 'bookmarks' : 'filtered',
+    includeDescriptions: false,
+    includeQrCodes: true
+  }));
+
+  const handlePrint = (job) => {
+    setIsPrintDialogOpen(false);
+    print(job);
+  };
+
+  // A live feed keeps subscribed events in step with the schedule; the link
+  // is copied so it can be pasted into the calendar app
+  const copyFeedLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      pushToast({ id: 'feed-link', title: t('export.feedCopied'), lines: [t('export.feedHint')] });
+    } catch (error) {
+      console.error('Failed to copy feed link:', error);
+      pushToast({ id: 'feed-link', title: t('export.feedCopyFailed'), lines: [url], duration: 0 });
+    }
+  };
+
+  // Calendar export targets
+  const exportOptions = useMemo(() => {
+    // Counted per export, so re-imported events that changed replace the old ones
+    const exportCalendar = (list, { name, filename }) => {
+      const revisions = updateCalendarRevisions(list, userData.get('calendarRevisions'));
+      userData.set('calendarRevisions', revisions);
+      downloadCalendar(list, { name, filename, revisions });
+    };
+
+    const feedUrl = calendarFeedUrl(bookmarked.map(session => session.id), { name: t('export.calendarMine') });
+    return [
+      {
+        label: t('export.mySchedule'),
+        count: bookmarked.length,
+        onSelect: () => exportCalendar(bookmarked, { name: t('export.calendarMine'), filename: 'devcon-my-schedule.ics' })
+      },
+      {
+        label: t('export.filtered'),
+        count: filteredSessions.length,
+        onSelect: () => exportCalendar(filteredSessions, { name: t('export.calendarFiltered'), filename: 'devcon-filtered.ics' })
+      },
+      {
+        label: t('export.full'),
+        count: sessions.length,
+        onSelect: () => exportCalendar(sessions, { name: t('export.calendarFull'), filename: 'devcon-schedule.ics' })
+      },
+      ...(feedUrl ? [{
+        label: t('export.subscribe'),
+        count: bookmarked.length,
+        onSelect: () => copyFeedLink(feedUrl)
+      }] : []),
+      {
+        label: t('export.notes'),
+        count: annotatedSessions(sessions, sessionNotes).length,
+        onSelect: () => downloadFile(buildNotesMarkdown(sessions, sessionNotes, { t, timeFormat }), {
+          filename: 'devcon-notes.md',
+          type: 'text/markdown;charset=utf-8'
+        })
+      },
+      {
+        label: t('export.print'),
+        separated: true,
+        onSelect: () => setIsPrintDialogOpen(true)
+      },
+      {
+        label: t('backup.download'),
+        separated: true,
+        onSelect: () => downloadFile(JSON.stringify(userData.exportBackup(), null, 2), {
+          filename: 'devcon-backup.json',
+          type: 'application/json'
+        })
+      },
+      {
+        label: t('backup.restore'),
+        onSelect: () => restoreInputRef.current?.click()
+      }
+    ];
+  }, [sessions, bookmarked, filteredSessions, sessionNotes, userData, t, timeFormat]);
 
-    return { grouped, hasCurrentSession };
-  }, [filteredSessions, sessions, bookmarkedSessions, view]);
+  // Restoring replaces everything, so offer a way back
+  const handleRestoreFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { previous, rejected } = userData.restoreBackup(await file.text());
+      pushToast({
+        id: 'restore-result',
+        tone: 'success',
+        title: t('backup.restored'),
+        lines: rejected.length > 0 ? [t('backup.skippedFields', { count: rejected.length })] : [],
+        actions: [{ label: t('backup.undo'), onClick: () => userData.replaceAll(previous) }]
+      });
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      pushToast({
+        id: 'restore-result',
+        tone: 'warning',
+        title: t('backup.restoreFailed'),
+        lines: [t(error.code === 'newer-version' ? 'backup.newerVersion' : 'backup.invalidFile')]
+      });
+    }
+  };
+
+  const renderSessionCard = (session, isCurrent, itineraryStatus) => (
+    <SessionCard 
+      key={session.id} 
+      session={session} 
+      showTimeline={view === 'bookmarks'}
+      isBookmarked={bookmarkedSessions.includes(session.id)}
+      isFocused={session.id === focusedSessionId}
+      isCurrent={isCurrent}
+      highlightTerms={view === 'bookmarks' ? undefined : searchHighlights[session.id]}
+      teammates={teammatesBySession[session.id]}
+      onCopyLink={copySessionLink}
+      onSpeakerClick={openSpeaker}
+      itineraryStatus={itineraryStatus}
+      onChooseAttending={chooseAttending}
+      onToggleBookmark={toggleBookmark}
+      onRoomClick={handleRoomClick}
+      onTrackClick={handleTrackClick}
+      notes={sessionNotes[session.id]}
+      onUpdateNotes={updateNotes}
+      onOpenDetails={setDetailSessionId}
+      onFocusCard={setActiveSessionId}
+    />
+  );
+
+  const renderRow = (row) => {
+    if (row.type === 'day') {
+      return (
+        <div className="flex items-center gap-3 pt-6 pb-4 bg-gray-50">
+          <h2 className="text-xl font-semibold">
+            {row.day === RESULTS_GROUP ? t('schedule.bestMatches') : timeFormat.dayLabel(row.day)}
+          </h2>
+          {row.conflicts > 0 && (
+            <span className="text-xs px-2 py-1 rounded-full bg-amber-100 text-amber-800">
+              {t('schedule.conflicts', { count: row.conflicts })}
+            </span>
+          )}
+        </div>
+      );
+    }
+    if (row.type === 'timetable') {
+      return (
+        <TimetableView
+          sessions={row.sessions}
+          rooms={rooms}
+          bookmarkedSessions={bookmarkedSessions}
+          onToggleBookmark={toggleBookmark}
+          nowMarkerId={NOW_MARKER_ID}
+        />
+      );
+    }
+    if (row.type === 'group') {
+      return (
+        <ConflictGroup count={row.entry.sessions.length} hasConflict={row.entry.hasConflict}>
+          {row.entry.sessions.map(session =>
+            renderSessionCard(session, row.currentIds.includes(session.id), row.entry.statuses[session.id] || 'open')
+          )}
+        </ConflictGroup>
+      );
+    }
+    return renderSessionCard(row.session, row.isCurrent);
+  };
 
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-gray-50 print:min-h-0 print:bg-white">
       {/* Fixed top bar */}
-      <div className="fixed top-0 left-0 right-0 bg-white border-b z-50 px-4 py-2">
+      <header className="print:hidden fixed top-0 left-0 right-0 bg-white border-b z-50 px-4 py-2">
         <div className="max-w-7xl mx-auto flex flex-wrap items-center justify-between gap-2">
-          <h1 className="text-xl font-bold text-gray-900">Devcon Schedule</h1>
+          <div className="flex items-baseline gap-2">
+            <h1 className="text-xl font-bold text-gray-900">{t('app.title')}</h1>
+            {!isOnline && (
+              <span className="flex items-center gap-1 text-xs text-amber-700">
+                <WifiOff className="w-3 h-3" />
+                {t('app.offline')}
+              </span>
+            )}
+            {lastSyncedAt && (
+              <span className="hidden sm:inline text-xs text-gray-500">
+                {t('app.lastSynced', { time: timeFormat.timestamp(lastSyncedAt) })}
+              </span>
+            )}
+          </div>
           
           <div className="flex items-center gap-2">
-            {groupedSessions.hasCurrentSession && (
+            {hasCurrentSession && view !== 'speakers' && (
               <button
                 onClick={scrollToNow}
+                aria-keyshortcuts="n"
                 className="flex items-center gap-1 px-3 py-1 text-sm bg-red-100 text-red-700 rounded-lg hover:bg-red-200"
               >
                 <ArrowDown className="w-4 h-4" />
-                Current
+                {t('nav.current')}
               </button>
             )}
             
+            <nav aria-label={t('a11y.views')} className="flex items-center gap-2">
+              <button
+                onClick={() => setView('schedule')}
+                aria-current={view === 'schedule' ? 'page' : undefined}
+                className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm ${
+                  view === 'schedule' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+                }`}
+              >
+                <Calendar className="w-4 h-4" />
+                <span className="sr-only sm:not-sr-only">{t('nav.schedule')}</span>
+              </button>
+
+              <button
+                onClick={() => setView('grid')}
+                aria-current={view === 'grid' ? 'page' : undefined}
+                className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm ${
+                  view === 'grid' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+                }`}
+              >
+                <LayoutGrid className="w-4 h-4" />
+                <span className="sr-only sm:not-sr-only">{t('nav.timetable')}</span>
+              </button>
+              
+              <button
+                onClick={() => setView('bookmarks')}
+                aria-current={view === 'bookmarks' ? 'page' : undefined}
+                className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm ${
+                  view === 'bookmarks' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+                }`}
+              >
+                <Bookmark className="w-4 h-4" />
+                <span className="sr-only sm:not-sr-only">{t('nav.mySchedule')}</span>
+              </button>
+
+              <button
+                onClick={() => openSpeaker(null)}
+                aria-current={view === 'speakers' ? 'page' : undefined}
+                className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm ${
+                  view === 'speakers' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+                }`}
+              >
+                <Mic className="w-4 h-4" />
+                <span className="sr-only sm:not-sr-only">{t('nav.speakers')}</span>
+              </button>
+            </nav>
+
+            <ExportMenu options={exportOptions} />
+            <input
+              ref={restoreInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleRestoreFile}
+              className="hidden"
+            />
+
+            <TimeSettingsMenu />
+
+            <LanguageMenu />
+
             <button
-              onClick={() => setView('schedule')}
-              className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm ${
-                view === 'schedule' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
-              }`}
+              onClick={() => setIsTeamDialogOpen(true)}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200"
             >
-              <Calendar className="w-4 h-4" />
-              <span className="hidden sm:inline">Schedule</span>
+              <Users className="w-4 h-4" />
+              <span className="sr-only sm:not-sr-only">{t('nav.team')}</span>
             </button>
-            
+
             <button
-              onClick={() => setView('bookmarks')}
-              className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm ${
-                view === 'bookmarks' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
-              }`}
+              onClick={() => setIsPlannerOpen(true)}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              <Sparkles className="w-4 h-4" />
+              <span className="sr-only sm:not-sr-only">{t('nav.planner')}</span>
+            </button>
+
+            {notificationsSupported() && (
+              <button
+                onClick={toggleNotifications}
+                title={notificationsEnabled ? t('nav.notificationsOff') : t('nav.notificationsOn')}
+                className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm ${
+                  notificationsEnabled ? 'bg-blue-100 text-blue-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {notificationsEnabled ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />}
+                <span className="sr-only sm:not-sr-only">{t('nav.alerts')}</span>
+              </button>
+            )}
+
+            <button
+              onClick={openChangeLog}
+              className="relative flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200"
             >
-              <Bookmark className="w-4 h-4" />
-              <span className="hidden sm:inline">My Schedule</span>
+              <History className="w-4 h-4" />
+              <span className="sr-only sm:not-sr-only">{t('nav.changes')}</span>
+              {unseenChanges > 0 && (
+                <span className="absolute -top-1 -end-1 min-w-[1rem] h-4 px-1 rounded-full bg-red-500 text-white text-[10px] leading-4 text-center">
+                  {unseenChanges}
+                </span>
+              )}
             </button>
 
             <button
-              onClick={() => fetchData(true)}
-              disabled={isRefreshing}
+              onClick={refresh}
+              title={isRefreshing ? t('nav.restartRefresh') : t('nav.refreshTitle')}
               className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200 ${
                 isRefreshing ? 'opacity-50' : ''
               }`}
             >
               <RefreshCw className={`w-4 h-4 ${isRefreshing ? 'animate-spin' : ''}`} />
-              <span className="hidden sm:inline">Refresh</span>
+              <span className="sr-only sm:not-sr-only">{t('nav.refresh')}</span>
             </button>
           </div>
         </div>
-      </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 py-8 pt-16 print:hidden">
+        <h2 ref={viewHeadingRef} tabIndex={-1} className="sr-only">{t(VIEW_TITLES[view])}</h2>
+        <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
+        {fetchError && !isLoading && (
+          <ErrorBanner
+            message={sessions.length > 0 ? t('load.refreshFailed') : t('load.failed')}
+            detail={sessions.length > 0 && lastSyncedAt
+              ? t('load.showingCopy', { error: fetchErrorMessage, time: timeFormat.timestamp(lastSyncedAt) })
+              : fetchErrorMessage}
+            isRetrying={isRefreshing}
+            onRetry={refresh}
+            onDismiss={sessions.length > 0 ? dismissError : undefined}
+          />
+        )}
+
+        {!isLoading && view !== 'speakers' && reminders.upcoming.length > 0 && (
+          <UpNextStrip
+            upcoming={reminders.upcoming}
+            now={reminders.now}
+            settings={reminderSettings}
+            onSettingsChange={setReminderSettings}
+          />
+        )}
 
-      <div className="max-w-7xl mx-auto px-4 py-8 pt-16">
         {isLoading ? (
           <div className="flex items-center justify-center h-64">
-            <RefreshCw className="w-8 h-8 animate-spin text-blue-600" />
+            <RefreshCw role="status" aria-label={t('load.loading')} className="w-8 h-8 animate-spin text-blue-600" />
           </div>
+        ) : view === 'speakers' ? (
+          <SpeakersView
+            speakers={speakers}
+            selectedSpeakerId={selectedSpeakerId}
+            onSelectSpeaker={openSpeaker}
+            followedSpeakers={followedSpeakers}
+            onToggleFollow={toggleFollowSpeaker}
+            bookmarkedSessions={bookmarkedSessions}
+            onToggleBookmark={toggleBookmark}
+          />
         ) : (
           <>
             {/* Filters */}
-            {view === 'schedule' && (
-              <div className="sticky top-16 bg-gray-50 pt-4 pb-2 z-40">
+            {view !== 'bookmarks' && (
+              <div ref={filterBarRef} className="sticky top-16 bg-gray-50 pt-4 pb-2 z-40">
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2">
                   <div className="relative">
-                    <Search className="w-4 h-4 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+                    <Search className="w-4 h-4 absolute start-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
                     <input
                       ref={searchInputRef}
                       type="text"
-                      placeholder="Search sessions..."
+                      aria-label={t('search.label')}
+                      aria-keyshortcuts="/"
+                      placeholder={t('search.placeholder')}
+                      title={t('search.hint')}
                       value={searchTerm}
                       onChange={(e) => setSearchTerm(e.target.value)}
-                      className="w-full pl-9 pr-8 py-2 text-sm border rounded-lg"
+                      className="w-full ps-9 pe-8 py-2 text-sm border rounded-lg"
                     />
                     {searchTerm && (
                       <button
                         onClick={() => setSearchTerm('')}
-                        className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                        aria-label={t('search.clear')}
+                        className="absolute end-2 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
                       >
                         <X className="w-4 h-4" />
                       </button>
                     )}
                   </div>
                   
-                  <select
-                    value={selectedDay}
-                    onChange={(e) => setSelectedDay(e.target.value)}
-                    className="border rounded-lg px-3 py-2 text-sm"
-                  >
-                    <option value="all">All Days</option>
-                    {days.map(day => (
-                      <option key={day} value={day}>{day}</option>
-                    ))}
-                  </select>
+                  <MultiSelect
+                    label={t('filters.dayLabel')}
+                    allLabel={t('filters.allDays')}
+                    countLabel={count => t('filters.days', { count })}
+                    options={days}
+                    formatOption={timeFormat.dayLabel}
+                    selected={filters.days}
+                    onChange={(value) => updateFilter('days', value)}
+                  />
                   
-                  <select
-                    value={selectedTrack}
-                    onChange={(e) => setSelectedTrack(e.target.value)}
-                    className="border rounded-lg px-3 py-2 text-sm"
-                  >
-                    <option value="all">All Tracks</option>
-                    {tracks.map(track => (
-                      <option key={track} value={track}>{track}</option>
-                    ))}
-                  </select>
-
-                  <select
-                    value={selectedRoom}
-                    onChange={(e) => setSelectedRoom(e.target.value)}
-                    className="border rounded-lg px-3 py-2 text-sm"
-                  >
-                    <option value="all">All Rooms</option>
-                    {rooms.map(room => (
-                      <option key={room} value={room}>{room}</option>
-                    ))}
-                  </select>
+                  <MultiSelect
+                    label={t('filters.trackLabel')}
+                    allLabel={t('filters.allTracks')}
+                    countLabel={count => t('filters.tracks', { count })}
+                    options={tracks}
+                    selected={filters.tracks}
+                    onChange={(value) => updateFilter('tracks', value)}
+                  />
+
+                  <MultiSelect
+                    label={t('filters.roomLabel')}
+                    allLabel={t('filters.allRooms')}
+                    countLabel={count => t('filters.rooms', { count })}
+                    options={rooms}
+                    selected={filters.rooms}
+                    onChange={(value) => updateFilter('rooms', value)}
+                  />
                 </div>
 
-                {(searchTerm || selectedDay !== 'all' || selectedTrack !== 'all' || selectedRoom !== 'all') && (
-                  <div className="flex justify-end mt-2">
+                {showMoreFilters && (
+                  <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-2 text-sm text-gray-700">
+                    <label className="flex items-center gap-1">
+                      {t('filters.from')}
+                      <input
+                        type="time"
+                        value={filters.timeFrom}
+                        onChange={(e) => updateFilter('timeFrom', e.target.value)}
+                        className="border rounded-lg px-2 py-1"
+                      />
+                    </label>
+                    <label className="flex items-center gap-1">
+                      {t('filters.to')}
+                      <input
+                        type="time"
+                        value={filters.timeTo}
+                        onChange={(e) => updateFilter('timeTo', e.target.value)}
+                        className="border rounded-lg px-2 py-1"
+                      />
+                    </label>
+                    <select
+                      value={filters.startingWithin}
+                      onChange={(e) => updateFilter('startingWithin', e.target.value)}
+                      aria-label={t('filters.startingLabel')}
+                      className="border rounded-lg px-2 py-1"
+                    >
+                      <option value="">{t('filters.anyStart')}</option>
+                      <option value="15">{t('filters.startingInMinutes', { count: 15 })}</option>
+                      <option value="30">{t('filters.startingInMinutes', { count: 30 })}</option>
+                      <option value="60">{t('filters.startingInHours', { count: 1 })}</option>
+                      <option value="120">{t('filters.startingInHours', { count: 2 })}</option>
+                    </select>
+                    <label className="flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={filters.withSlides}
+                        onChange={(e) => updateFilter('withSlides', e.target.checked)}
+                      />
+                      {t('filters.withSlides')}
+                    </label>
+                    <label className="flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={filters.hideBookmarked}
+                        onChange={(e) => updateFilter('hideBookmarked', e.target.checked)}
+                      />
+                      {t('filters.hideBookmarked')}
+                    </label>
+                  </div>
+                )}
+
+                <div className="flex flex-wrap justify-between items-center gap-2 mt-2">
+                  <FilterPresets
+                    presets={presets}
+                    canSave={Boolean(searchTerm.trim()) || hasActiveFilters(filters)}
+                    onApply={applyPreset}
+                    onSave={savePreset}
+                    onDelete={deletePreset}
+                  />
+
+                  <div className="flex items-center gap-2 ms-auto">
                     <button
-                      onClick={resetFilters}
+                      onClick={() => setShowMoreFilters(!showMoreFilters)}
                       className="flex items-center gap-1 px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
                     >
-                      <X className="w-4 h-4" />
-                      Clear filters
+                      <SlidersHorizontal className="w-4 h-4" />
+                      {showMoreFilters ? t('filters.fewer') : t('filters.more')}
                     </button>
+                    {view === 'schedule' && searchTerm.trim() && (
+                      <button
+                        onClick={() => setSortByRelevance(!sortByRelevance)}
+                        className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
+                      >
+                        {sortByRelevance ? t('filters.sortByTime') : t('filters.sortByRelevance')}
+                      </button>
+                    )}
+                    {(searchTerm || hasActiveFilters(filters)) && (
+                      <button
+                        onClick={resetFilters}
+                        className="flex items-center gap-1 px-3 py-1 text-sm text-gray-600 hover:text-gray-900"
+                      >
+                        <X className="w-4 h-4" />
+                        {t('filters.clear')}
+                      </button>
+                    )}
                   </div>
-                )}
+                </div>
               </div>
             )}
 
+            {view === 'bookmarks' && (
+              <BookmarkSuggestions
+                groups={suggestions}
+                bookmarkedSessions={bookmarkedSessions}
+                onToggleBookmark={toggleBookmark}
+                onOpenSession={setDetailSessionId}
+              />
+            )}
+
             {/* Session Lists */}
-            <div className="space-y-6 mt-4">
-              {Object.entries(groupedSessions.grouped).map(([day, daySessions]) => (
-                <div key={day}>
-                  <h2 className="text-xl font-semibold mb-4">{day}</h2>
-                  {daySessions.map(session => (
-                    <SessionCard 
-                      key={session.id} 
-                      session={session} 
-                      showTimeline={view === 'bookmarks'}
-                      isBookmarked={bookmarkedSessions.includes(session.id)}
-                      onToggleBookmark={toggleBookmark}
-                      onRoomClick={handleRoomClick}
-                      onTrackClick={handleTrackClick}
-                    />
-                  ))}
-                </div>
-              ))}
+            <VirtualList
+              ref={listRef}
+              rows={rows}
+              renderRow={renderRow}
+              estimateSize={estimateRowSize}
+              isSectionHeader={row => row.type === 'day'}
+              sizeCache={rowSizes}
+              stickyTop={TOP_BAR_HEIGHT + filterBarHeight}
+            />
 
-              {Object.keys(groupedSessions.grouped).length === 0 && (
-                <div className="text-center py-8 text-gray-500">
-                  No sessions found
-                </div>
-              )}
-            </div>
+            {rows.length === 0 && (
+              <div className="text-center py-8 text-gray-500">
+                {t('schedule.empty')}
+              </div>
+            )}
           </>
         )}
-      </div>
-    {/* Update Dialog */}
-<AlertDialog open={isUpdateDialogOpen} onOpenChange={setIsUpdateDialogOpen}>
-  <AlertDialogContent>
-    <AlertDialogHeader>
-      <AlertDialogTitle>Schedule Updated</AlertDialogTitle>
-      <AlertDialogDescription>
-        {updateStats.added > 0 && (
-          <div className="text-green-600">• {updateStats.added} new sessions added</div>
-        )}
-        {updateStats.modified > 0 && (
-          <div className="text-blue-600">• {updateStats.modified} sessions modified</div>
-        )}
-        {updateStats.unchanged > 0 && (
-          <div className="text-gray-600">• {updateStats.unchanged} sessions unchanged</div>
-        )}
-        {updateStats.added === 0 && updateStats.modified === 0 && (
-          <div className="text-gray-600">No changes found in the schedule</div>
-        )}
-      </AlertDialogDescription>
-    </AlertDialogHeader>
-    <AlertDialogFooter>
-      <AlertDialogAction onClick={() => setIsUpdateDialogOpen(false)}>
-        Okay
-      </AlertDialogAction>
-    </AlertDialogFooter>
-  </AlertDialogContent>
-</AlertDialog>
+      </main>
+      {/* Update Dialog */}
+      <ChangeLogDialog
+        open={isUpdateDialogOpen}
+        onOpenChange={handleChangeLogOpenChange}
+        latest={latestDiff}
+        history={changeLog}
+        bookmarkedSessions={bookmarkedSessions}
+      />
+
+      <Toaster toasts={toasts} onDismiss={dismissToast} />
+
+      <TeamDialog
+        open={isTeamDialogOpen}
+        onOpenChange={setIsTeamDialogOpen}
+        shareName={shareName}
+        onShareNameChange={setShareName}
+        bookmarkedSessions={bookmarkedSessions}
+        team={team}
+        pendingShare={pendingShare}
+        onAddTeammate={addTeammate}
+        onMergeShare={mergeShare}
+        onDismissPending={() => setPendingShare(null)}
+        onRemoveTeammate={removeTeammate}
+      />
+
+      <PlannerDialog
+        open={isPlannerOpen}
+        onOpenChange={setIsPlannerOpen}
+        sessions={sessions}
+        days={days}
+        tracks={tracks}
+        speakers={speakers}
+        bookmarkedSessions={bookmarkedSessions}
+        onAccept={acceptPlan}
+      />
+
+      <SessionDetailPanel
+        session={detailSession || null}
+        sessions={sessions}
+        bookmarkedSessions={bookmarkedSessions}
+        onToggleBookmark={toggleBookmark}
+        onOpenSession={setDetailSessionId}
+        onSpeakerClick={(speakerId) => {
+          setDetailSessionId(null);
+          openSpeaker(speakerId);
+        }}
+        onClose={() => setDetailSessionId(null)}
+      />
+
+      <PrintDialog
+        open={isPrintDialogOpen}
+        onOpenChange={setIsPrintDialogOpen}
+        defaultScope={view === 'bookmarks' ? 'bookmarks' : 'filtered'}
+        counts={{ bookmarks: bookmarked.length, filtered: filteredSessions.length }}
+        onPrint={handlePrint}
+      />
+
+      {printJob && (
+        <PrintAgenda
+          title={printJob.scope === 'bookmarks' ? t('export.calendarMine') : t('export.calendarFiltered')}
+          sessions={printJob.scope === 'bookmarks' ? bookmarked : filteredSessions}
+          includeDescriptions={printJob.includeDescriptions}
+          includeQrCodes={printJob.includeQrCodes}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,106 @@
+import React, { useMemo } from 'react';
+import { Bookmark } from 'lucide-react';
+import {
+  AlertDialog,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/AlertDialog';
+import RelatedSessionList from './RelatedSessionList';
+import { relatedSessions } from '../lib/related';
+import { speakerKey } from '../lib/speakers';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+
+// One session in full, followed by the sessions most like it. Opening a
+// related session shows that one in its place.
+const SessionDetailPanel = ({
+  session,
+  sessions,
+  bookmarkedSessions,
+  onToggleBookmark,
+  onOpenSession,
+  onSpeakerClick,
+  onClose
+}) => {
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  const related = useMemo(
+    () => (session ? relatedSessions(sessions, session.id) : []),
+    [sessions, session]
+  );
+
+  const isBookmarked = session && bookmarkedSessions.includes(session.id);
+
+  return (
+    <AlertDialog open={Boolean(session)} onOpenChange={open => !open && onClose()}>
+      <AlertDialogContent>
+        {session && (
+          <>
+            <AlertDialogHeader>
+              <div className="flex items-start justify-between gap-2">
+                <AlertDialogTitle>{session.title}</AlertDialogTitle>
+                <button
+                  onClick={() => onToggleBookmark(session.id)}
+                  aria-label={t('session.bookmark')}
+                  aria-pressed={Boolean(isBookmarked)}
+                  className={`p-1 rounded-full ${isBookmarked ? 'text-yellow-500' : 'text-gray-400'}`}
+                >
+                  <Bookmark className={`w-5 h-5 ${isBookmarked ? 'fill-current' : ''}`} />
+                </button>
+              </div>
+              <AlertDialogDescription>
+                {timeFormat.shortDay(session.slot_start)}, {timeFormat.timeRange(session.slot_start, session.slot_end)} | {t('session.room', { room: session.slot_room?.name })}
+                {session.track && ` | ${session.track}`}
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+
+            <div className="max-h-[60vh] overflow-y-auto space-y-4 text-sm">
+              {session.speakers?.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {session.speakers.map(speaker => (
+                    <button
+                      key={speaker.id}
+                      onClick={() => onSpeakerClick(speakerKey(speaker))}
+                      className="px-2 py-1 rounded-full bg-gray-100 font-medium hover:bg-gray-200"
+                    >
+                      {speaker.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {session.description && (
+                <p className="text-gray-600 whitespace-pre-line">{session.description}</p>
+              )}
+
+              <div>
+                <h3 className="font-semibold text-gray-900 mb-2">{t('related.title')}</h3>
+                {related.length > 0 ? (
+                  <RelatedSessionList
+                    matches={related}
+                    bookmarkedSessions={bookmarkedSessions}
+                    onToggleBookmark={onToggleBookmark}
+                    onOpenSession={onOpenSession}
+                  />
+                ) : (
+                  <div className="text-gray-500">{t('related.empty')}</div>
+                )}
+              </div>
+            </div>
+
+            <AlertDialogFooter>
+              <AlertDialogCancel>{t('common.done')}</AlertDialogCancel>
+            </AlertDialogFooter>
+          </>
+        )}
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default SessionDetailPanel;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, Star, StickyNote, Pencil } from 'lucide-react';
+import Highlight from './Highlight';
+import useI18n from '../hooks/useI18n';
+import { SESSION_STATUSES, MAX_RATING } from '../lib/sessionNotes';
+
+const STATUS_ICONS = { attended: CheckCircle, skipped: XCircle };
+const STATUS_ACTIVE = { attended: 'bg-green-100 text-green-800', skipped: 'bg-gray-200 text-gray-800' };
+
+// Your attended/skipped status, rating and private note for one session
+const SessionNotes = ({ entry, highlightTerms, onChange }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const { t } = useI18n();
+  const note = entry?.note || '';
+
+  const startEditing = () => {
+    setDraft(note);
+    setIsEditing(true);
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    onChange({ note: draft.trim() });
+    setIsEditing(false);
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        {SESSION_STATUSES.map(status => {
+          const Icon = STATUS_ICONS[status];
+          const isActive = entry?.status === status;
+          return (
+            <button
+              key={status}
+              onClick={() => onChange({ status: isActive ? null : status })}
+              aria-pressed={isActive}
+              className={`flex items-center gap-1 px-2 py-1 rounded ${
+                isActive ? STATUS_ACTIVE[status] : 'text-gray-500 hover:bg-gray-100'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {t(`notes.${status}`)}
+            </button>
+          );
+        })}
+
+        <div className="flex items-center">
+          {Array.from({ length: MAX_RATING }, (_, index) => index + 1).map(value => (
+            <button
+              key={value}
+              onClick={() => onChange({ rating: entry?.rating === value ? null : value })}
+              title={t('notes.rate', { count: value })}
+              aria-pressed={entry?.rating === value}
+              className={`p-0.5 ${value <= (entry?.rating || 0) ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-400'}`}
+            >
+              <Star className={`w-4 h-4 ${value <= (entry?.rating || 0) ? 'fill-current' : ''}`} />
+            </button>
+          ))}
+        </div>
+
+        {!isEditing && !note && (
+          <button
+            onClick={startEditing}
+            className="flex items-center gap-1 px-2 py-1 rounded text-gray-500 hover:bg-gray-100"
+          >
+            <StickyNote className="w-4 h-4" />
+            {t('notes.add')}
+          </button>
+        )}
+      </div>
+
+      {isEditing ? (
+        <form onSubmit={handleSave} className="mt-2">
+          <textarea
+            autoFocus
+            rows={3}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder={t('notes.placeholder')}
+            aria-label={t('notes.edit')}
+            className="w-full border rounded-lg px-2 py-1 text-sm"
+          />
+          <div className="flex justify-end gap-1">
+            <button type="button" onClick={() => setIsEditing(false)} className="px-2 py-1 text-gray-500">
+              {t('common.cancel')}
+            </button>
+            <button type="submit" className="px-2 py-1 text-blue-600 hover:text-blue-800">{t('common.save')}</button>
+          </div>
+        </form>
+      ) : note && (
+        <div className="mt-2 flex items-start gap-2 bg-yellow-50 rounded-lg p-2 text-sm text-gray-700">
+          <p className="flex-1 whitespace-pre-wrap">
+            <Highlight text={note} terms={highlightTerms} />
+          </p>
+          <button onClick={startEditing} title={t('notes.edit')} className="text-gray-400 hover:text-gray-600">
+            <Pencil className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionNotes;
@@ -0,0 +1,198 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, Bookmark, Search, UserCheck, UserPlus, X } from 'lucide-react';
+import { initialOf } from '../lib/speakers';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+
+const Avatar = ({ speaker, size }) => (
+  speaker.avatar ? (
+    <img src={speaker.avatar} alt={speaker.name} className={`${size} rounded-full object-cover`} />
+  ) : (
+    <div className={`${size} rounded-full bg-gray-200 flex items-center justify-center text-gray-600 font-medium`}>
+      {initialOf(speaker.name)}
+    </div>
+  )
+);
+
+const SpeakerProfile = ({ speaker, isFollowing, onToggleFollow, bookmarkedSessions, onToggleBookmark, onBack }) => {
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  return (
+    <div className="mt-4">
+      <button onClick={onBack} className="flex items-center gap-1 text-sm text-blue-600 hover:underline mb-4">
+        <ArrowLeft className="w-4 h-4 rtl:rotate-180" />
+        {t('speakers.all')}
+      </button>
+
+      <div className="flex items-center gap-4 mb-6">
+        <Avatar speaker={speaker} size="w-16 h-16" />
+        <div className="flex-1">
+          <h2 className="text-2xl font-semibold">{speaker.name}</h2>
+          {(speaker.role || speaker.company) && (
+            <div className="text-gray-600">{[speaker.role, speaker.company].filter(Boolean).join(', ')}</div>
+          )}
+        </div>
+        <button
+          onClick={() => onToggleFollow(speaker)}
+          className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm ${
+            isFollowing ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          {isFollowing ? <UserCheck className="w-4 h-4" /> : <UserPlus className="w-4 h-4" />}
+          {isFollowing ? t('speakers.following') : t('speakers.follow')}
+        </button>
+      </div>
+
+      {speaker.description && (
+        <p className="text-sm text-gray-600 mb-6 whitespace-pre-line">{speaker.description}</p>
+      )}
+
+      <h3 className="text-lg font-semibold mb-2">
+        {t('speakers.sessionCount', { count: speaker.sessions.length })}
+      </h3>
+      <ul className="space-y-2">
+        {speaker.sessions.map(session => {
+          const isBookmarked = bookmarkedSessions.includes(session.id);
+          return (
+            <li key={session.id} className="flex items-start justify-between border rounded-lg p-3 bg-white">
+              <div>
+                <div className="font-medium">{session.title}</div>
+                <div className="text-sm text-gray-600">
+                  {timeFormat.shortDay(session.slot_start)}, {timeFormat.timeRange(session.slot_start, session.slot_end)} | {t('session.room', { room: session.slot_room?.name })}
+                </div>
+              </div>
+              <button
+                onClick={() => onToggleBookmark(session.id)}
+                aria-label={t('session.bookmark')}
+                aria-pressed={isBookmarked}
+                className={`p-2 rounded-full ${isBookmarked ? 'text-yellow-500' : 'text-gray-400'}`}
+              >
+                <Bookmark className={`w-5 h-5 ${isBookmarked ? 'fill-current' : ''}`} />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+const SpeakerDirectory = ({ speakers, followedSpeakers, onSelectSpeaker }) => {
+  const [query, setQuery] = useState('');
+  const { t } = useI18n();
+
+  const groups = useMemo(() => {
+    const queryLower = query.trim().toLowerCase();
+    const result = {};
+    speakers
+      .filter(speaker => !queryLower || speaker.name.toLowerCase().includes(queryLower))
+      .forEach(speaker => {
+        const letter = initialOf(speaker.name);
+        if (!result[letter]) result[letter] = [];
+        result[letter].push(speaker);
+      });
+    return result;
+  }, [speakers, query]);
+
+  const letters = Object.keys(groups).sort((a, b) => (a === '#') - (b === '#') || a.localeCompare(b));
+
+  return (
+    <div className="mt-4">
+      <div className="sticky top-16 bg-gray-50 pt-4 pb-2 z-40">
+        <div className="relative">
+          <Search className="w-4 h-4 absolute start-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder={t('speakers.searchPlaceholder')}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="w-full ps-9 pe-8 py-2 text-sm border rounded-lg"
+          />
+          {query && (
+            <button
+              onClick={() => setQuery('')}
+              className="absolute end-2 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-1 mt-2 text-sm">
+          {letters.map(letter => (
+            <a key={letter} href={`#speakers-${letter}`} className="px-1 text-blue-600 hover:underline">
+              {letter}
+            </a>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-6 mt-4">
+        {letters.map(letter => (
+          <div key={letter} id={`speakers-${letter}`} className="scroll-mt-48">
+            <h2 className="text-xl font-semibold mb-2">{letter}</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+              {groups[letter].map(speaker => (
+                <button
+                  key={speaker.key}
+                  onClick={() => onSelectSpeaker(speaker.key)}
+                  className="flex items-center gap-3 border rounded-lg p-3 bg-white text-start hover:shadow-md transition-shadow"
+                >
+                  <Avatar speaker={speaker} size="w-10 h-10" />
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium truncate">{speaker.name}</div>
+                    <div className="text-sm text-gray-500">
+                      {t('speakers.sessionCount', { count: speaker.sessions.length })}
+                    </div>
+                  </div>
+                  {followedSpeakers[speaker.key] && <UserCheck className="w-4 h-4 text-blue-600" />}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {letters.length === 0 && (
+          <div className="text-center py-8 text-gray-500">
+            {t('speakers.empty')}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SpeakersView = ({
+  speakers,
+  selectedSpeakerId,
+  onSelectSpeaker,
+  followedSpeakers,
+  onToggleFollow,
+  bookmarkedSessions,
+  onToggleBookmark
+}) => {
+  const speaker = selectedSpeakerId && speakers.find(candidate => candidate.key === selectedSpeakerId);
+
+  if (speaker) {
+    return (
+      <SpeakerProfile
+        speaker={speaker}
+        isFollowing={Boolean(followedSpeakers[speaker.key])}
+        onToggleFollow={onToggleFollow}
+        bookmarkedSessions={bookmarkedSessions}
+        onToggleBookmark={onToggleBookmark}
+        onBack={() => onSelectSpeaker(null)}
+      />
+    );
+  }
+
+  return (
+    <SpeakerDirectory
+      speakers={speakers}
+      followedSpeakers={followedSpeakers}
+      onSelectSpeaker={onSelectSpeaker}
+    />
+  );
+};
+
+export default SpeakersView;
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { Copy, X } from 'lucide-react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/AlertDialog';
+import { buildShareLink, parseShareInput } from '../lib/teamShare';
+import useI18n from '../hooks/useI18n';
+
+const TeamDialog = ({
+  open,
+  onOpenChange,
+  shareName,
+  onShareNameChange,
+  bookmarkedSessions,
+  team,
+  pendingShare,
+  onAddTeammate,
+  onMergeShare,
+  onDismissPending,
+  onRemoveTeammate
+}) => {
+  const [importInput, setImportInput] = useState('');
+  const [importError, setImportError] = useState('');
+  const [isCopied, setIsCopied] = useState(false);
+  const { t } = useI18n();
+
+  const shareLink = buildShareLink({ name: shareName, sessionIds: bookmarkedSessions });
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareLink);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy share link:', error);
+    }
+  };
+
+  const handleImport = () => {
+    const share = parseShareInput(importInput, { fallbackName: t('team.unnamed') });
+    if (!share) {
+      setImportError(t('team.importError'));
+      return;
+    }
+    onAddTeammate(share);
+    setImportInput('');
+    setImportError('');
+  };
+
+  return (
+    <AlertDialog open={open} onOpenChange={onOpenChange}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>{t('team.title')}</AlertDialogTitle>
+          <AlertDialogDescription>
+            {t('team.description')}
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+
+        <div className="max-h-[60vh] overflow-y-auto space-y-4 text-sm">
+          {pendingShare && (
+            <div className="p-3 rounded-lg bg-blue-50 border border-blue-200 space-y-2">
+              <div className="text-blue-900">
+                {t('team.pendingShare', { name: pendingShare.name, count: pendingShare.sessionIds.length })}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => onAddTeammate(pendingShare)}
+                  className="px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+                >
+                  {t('team.add')}
+                </button>
+                <button
+                  onClick={() => onMergeShare(pendingShare)}
+                  className="px-3 py-1 rounded-lg border border-blue-600 text-blue-700 hover:bg-blue-100"
+                >
+                  {t('team.merge')}
+                </button>
+                <button
+                  onClick={onDismissPending}
+                  className="px-3 py-1 rounded-lg text-gray-600 hover:text-gray-900"
+                >
+                  {t('team.ignore')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <div className="font-medium text-gray-900">{t('team.shareHeading')}</div>
+            <input
+              type="text"
+              placeholder={t('team.namePlaceholder')}
+              value={shareName}
+              onChange={(e) => onShareNameChange(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg"
+            />
+            {bookmarkedSessions.length > 0 ? (
+              <div className="flex flex-col sm:flex-row gap-3 items-center">
+                <QRCodeSVG value={shareLink} size={144} />
+                <div className="flex-1 w-full space-y-2">
+                  <input
+                    type="text"
+                    readOnly
+                    value={shareLink}
+                    onFocus={(e) => e.target.select()}
+                    className="w-full px-3 py-2 border rounded-lg text-xs text-gray-600"
+                  />
+                  <button
+                    onClick={copyShareLink}
+                    className="flex items-center gap-1 px-3 py-1 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200"
+                  >
+                    <Copy className="w-4 h-4" />
+                    {isCopied ? t('common.copied') : t('team.copyLink')}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="text-gray-500">{t('team.shareEmpty')}</div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <div className="font-medium text-gray-900">{t('team.importHeading')}</div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                placeholder={t('team.importPlaceholder')}
+                value={importInput}
+                onChange={(e) => setImportInput(e.target.value)}
+                className="flex-1 px-3 py-2 border rounded-lg"
+              />
+              <button
+                onClick={handleImport}
+                disabled={!importInput.trim()}
+                className="px-3 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+              >
+                {t('team.import')}
+              </button>
+            </div>
+            {importError && <div className="text-red-600">{importError}</div>}
+          </div>
+
+          {team.length > 0 && (
+            <div className="space-y-2">
+              <div className="font-medium text-gray-900">{t('team.members')}</div>
+              <ul className="divide-y border rounded-lg">
+                {team.map(member => (
+                  <li key={member.name} className="flex items-center justify-between px-3 py-2">
+                    <span>
+                      {member.name}
+                      <span className="ms-2 text-gray-500">{t('team.sessionCount', { count: member.sessionIds.length })}</span>
+                    </span>
+                    <button
+                      onClick={() => onRemoveTeammate(member.name)}
+                      aria-label={t('team.remove', { name: member.name })}
+                      className="text-gray-400 hover:text-gray-600"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <AlertDialogFooter>
+          <AlertDialogAction>{t('common.done')}</AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default TeamDialog;
@@ -0,0 +1,55 @@
+import React, { useState, useRef } from 'react';
+import { Clock } from 'lucide-react';
+import { VENUE_TIME_ZONE, localTimeZone } from '../lib/datetime';
+import useTimeFormat, { useTimeSettings } from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+import useClickOutside from '../hooks/useClickOutside';
+
+const TimeSettingsMenu = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+  const timeFormat = useTimeFormat();
+  const [settings, setSettings] = useTimeSettings();
+  const { t } = useI18n();
+
+  useClickOutside(menuRef, () => setIsOpen(false), { enabled: isOpen });
+
+  const option = (key, value, label) => (
+    <label className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 cursor-pointer">
+      <input
+        type="radio"
+        name={key}
+        checked={settings[key] === value}
+        onChange={() => setSettings({ ...settings, [key]: value })}
+      />
+      {label}
+    </label>
+  );
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title={t('time.shownIn', { zone: timeFormat.timeZone })}
+        aria-label={t('time.shownIn', { zone: timeFormat.timeZone })}
+        aria-expanded={isOpen}
+        className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200"
+      >
+        <Clock className="w-4 h-4" />
+        <span className="hidden sm:inline">{timeFormat.zoneLabel}</span>
+      </button>
+      {isOpen && (
+        <div className="absolute end-0 mt-1 w-64 bg-white border rounded-lg shadow-lg py-1 z-50">
+          <div className="px-3 pt-1 text-xs font-medium text-gray-500">{t('time.zone')}</div>
+          {option('zone', 'venue', t('time.venue', { zone: VENUE_TIME_ZONE }))}
+          {option('zone', 'local', t('time.local', { zone: localTimeZone() }))}
+          <div className="px-3 pt-2 text-xs font-medium text-gray-500 border-t">{t('time.clock')}</div>
+          {option('hourCycle', '12h', t('time.12h'))}
+          {option('hourCycle', '24h', t('time.24h'))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeSettingsMenu;
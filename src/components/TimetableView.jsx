@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Bookmark } from 'lucide-react';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+
+const PIXELS_PER_MINUTE = 2;
+const SLOT_MINUTES = 30;
+const MINUTE = 60 * 1000;
+const HEADER_HEIGHT = 40; // Matches the h-10 room headers
+
+// Snap a timestamp down or up to the nearest grid slot
+const snap = (time, direction) => {
+  const slot = SLOT_MINUTES * MINUTE;
+  return (direction === 'down' ? Math.floor(time / slot) : Math.ceil(time / slot)) * slot;
+};
+
+const TimetableView = ({ sessions, rooms, bookmarkedSessions, onToggleBookmark, nowMarkerId }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  // Keep the now-line moving
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), MINUTE);
+    return () => clearInterval(interval);
+  }, []);
+
+  const { columns, start, end, slots } = useMemo(() => {
+    const starts = sessions.map(session => new Date(session.slot_start).getTime());
+    const ends = sessions.map(session => new Date(session.slot_end).getTime());
+    const start = snap(Math.min(...starts), 'down');
+    const end = snap(Math.max(...ends), 'up');
+
+    const usedRooms = new Set(sessions.map(session => session.slot_room?.name).filter(Boolean));
+    const columns = rooms
+      .filter(room => usedRooms.has(room))
+      .map(room => ({
+        room,
+        sessions: sessions.filter(session => session.slot_room?.name === room)
+      }));
+
+    const slots = [];
+    for (let time = start; time < end; time += SLOT_MINUTES * MINUTE) {
+      slots.push(time);
+    }
+
+    return { columns, start, end, slots };
+  }, [sessions, rooms]);
+
+  const height = ((end - start) / MINUTE) * PIXELS_PER_MINUTE;
+  const offsetOf = (time) => ((time - start) / MINUTE) * PIXELS_PER_MINUTE;
+  const showNowLine = now >= start && now <= end;
+
+  return (
+    <div className="overflow-x-auto border rounded-lg bg-white mb-4">
+      <div className="flex min-w-max">
+        {/* Time axis */}
+        <div className="sticky start-0 z-20 w-16 shrink-0 bg-white border-e">
+          <div className="h-10 border-b" />
+          <div className="relative" style={{ height }}>
+            {slots.map(slot => (
+              <div
+                key={slot}
+                className="absolute left-0 right-0 pe-2 text-end text-xs text-gray-500 -translate-y-2"
+                style={{ top: offsetOf(slot) }}
+              >
+                {timeFormat.time(slot)}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Room columns */}
+        <div className="relative flex">
+          {columns.map(column => (
+            <div key={column.room} className="w-48 shrink-0 border-e last:border-e-0">
+              <div className="h-10 px-2 flex items-center border-b text-sm font-medium text-gray-700 truncate">
+                {column.room}
+              </div>
+              <div className="relative" style={{ height }}>
+                {slots.map(slot => (
+                  <div
+                    key={slot}
+                    className="absolute left-0 right-0 border-t border-gray-100"
+                    style={{ top: offsetOf(slot) }}
+                  />
+                ))}
+                {column.sessions.map(session => {
+                  const sessionStart = new Date(session.slot_start);
+                  const sessionEnd = new Date(session.slot_end);
+                  const isBookmarked = bookmarkedSessions.includes(session.id);
+                  const isCurrent = sessionStart.getTime() <= now && sessionEnd.getTime() >= now;
+
+                  return (
+                    <div
+                      key={session.id}
+                      id={`session-${session.id}`}
+                      tabIndex={-1}
+                      className={`absolute left-1 right-1 overflow-hidden rounded border p-1 text-xs focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+                        isBookmarked ? 'bg-yellow-50 border-yellow-400' : 'bg-blue-50 border-blue-200'
+                      } ${isCurrent ? 'ring-1 ring-red-500' : ''}`}
+                      style={{
+                        top: offsetOf(sessionStart.getTime()),
+                        height: Math.max(offsetOf(sessionEnd.getTime()) - offsetOf(sessionStart.getTime()) - 2, 16)
+                      }}
+                    >
+                      <div className="flex items-start justify-between gap-1">
+                        <div className="font-medium text-gray-900 line-clamp-3">{session.title}</div>
+                        <button
+                          onClick={() => onToggleBookmark(session.id)}
+                          aria-label={t('session.bookmark')}
+                          aria-pressed={isBookmarked}
+                          className={isBookmarked ? 'text-yellow-500' : 'text-gray-400'}
+                        >
+                          <Bookmark className={`w-3 h-3 ${isBookmarked ? 'fill-current' : ''}`} />
+                        </button>
+                      </div>
+                      <div className="text-gray-600">
+                        {timeFormat.timeRange(sessionStart, sessionEnd)}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+
+          {showNowLine && (
+            <div
+              id={nowMarkerId}
+              className="absolute left-0 right-0 h-0.5 bg-red-500 z-10 pointer-events-none"
+              style={{ top: HEADER_HEIGHT + offsetOf(now) }}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimetableView;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+const TONES = {
+  info: 'border-gray-200 bg-white text-gray-900',
+  success: 'border-green-200 bg-green-50 text-green-900',
+  warning: 'border-amber-300 bg-amber-50 text-amber-900'
+};
+
+const Toaster = ({ toasts, onDismiss }) => {
+  const { t } = useI18n();
+
+  return (
+    <div aria-live="polite" className="print:hidden fixed bottom-4 end-4 start-4 sm:start-auto sm:w-96 z-50 flex flex-col gap-2">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`border rounded-lg shadow-lg p-3 text-sm ${TONES[toast.tone || 'info']}`}>
+          <div className="flex items-start gap-2">
+            <div className="flex-1">
+              <div className="font-medium">{toast.title}</div>
+              {toast.lines?.map((line, index) => (
+                <div key={index} className="opacity-80">{line}</div>
+              ))}
+            </div>
+            <button onClick={() => onDismiss(toast.id)} aria-label={t('common.dismiss')} className="opacity-50 hover:opacity-100">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          {toast.actions?.length > 0 && (
+            <div className="flex gap-3 mt-2">
+              {toast.actions.map(action => (
+                <button
+                  key={action.label}
+                  onClick={() => {
+                    action.onClick();
+                    onDismiss(toast.id);
+                  }}
+                  className="font-medium text-blue-700 hover:underline"
+                >
+                  {action.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Toaster;
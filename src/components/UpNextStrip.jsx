@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { AlarmClock, Footprints, Settings } from 'lucide-react';
+import { minutesUntil } from '../lib/reminders';
+import useTimeFormat from '../hooks/useTimeFormat';
+import useI18n from '../hooks/useI18n';
+
+const formatCountdown = (minutes, t) => {
+  if (minutes >= 24 * 60) return t('upNext.inDays', { count: Math.round(minutes / (24 * 60)) });
+  if (minutes >= 60) return t('upNext.inHours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+  return t('upNext.inMinutes', { count: minutes });
+};
+
+const UpNextStrip = ({ upcoming, now, settings, onSettingsChange }) => {
+  const [showSettings, setShowSettings] = useState(false);
+  const timeFormat = useTimeFormat();
+  const { t } = useI18n();
+
+  const updateSetting = (key, value) => onSettingsChange({ ...settings, [key]: value });
+
+  return (
+    <div className="mt-4 border rounded-lg bg-white p-3">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-1 text-sm font-semibold text-gray-900">
+          <AlarmClock className="w-4 h-4" />
+          {t('upNext.title')}
+        </div>
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          title={t('upNext.settings')}
+          className="p-1 text-gray-400 hover:text-gray-600"
+        >
+          <Settings className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showSettings && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mb-3 text-sm text-gray-700">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => updateSetting('enabled', e.target.checked)}
+            />
+            {t('upNext.remindMe')}
+          </label>
+          <select
+            value={settings.leadMinutes}
+            onChange={(e) => updateSetting('leadMinutes', Number(e.target.value))}
+            disabled={!settings.enabled}
+            className="border rounded-lg px-2 py-1"
+          >
+            {[5, 10, 15, 30].map(minutes => (
+              <option key={minutes} value={minutes}>{t('upNext.minutesBefore', { count: minutes })}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1">
+            {t('upNext.walkTime')}
+            <select
+              value={settings.walkMinutes}
+              onChange={(e) => updateSetting('walkMinutes', Number(e.target.value))}
+              className="border rounded-lg px-2 py-1"
+            >
+              {[0, 2, 5, 10, 15].map(minutes => (
+                <option key={minutes} value={minutes}>{t('upNext.minutes', { count: minutes })}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {upcoming.map(session => {
+          const startsIn = minutesUntil(session.slot_start, now);
+          const leaveIn = startsIn - settings.walkMinutes;
+
+          return (
+            <div key={session.id} className="text-sm border-s-4 border-blue-500 ps-2">
+              <div className="font-medium truncate">{session.title}</div>
+              <div className="text-gray-600">
+                {timeFormat.time(session.slot_start)}
+                {' · '}
+                {session.slot_room?.name}
+                {' · '}
+                {formatCountdown(startsIn, t)}
+              </div>
+              {settings.walkMinutes > 0 && leaveIn < 60 && (
+                <div className={`flex items-center gap-1 ${leaveIn <= 0 ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+                  <Footprints className="w-3 h-3" />
+                  {leaveIn <= 0 ? t('upNext.leaveNow') : t('upNext.leaveIn', { count: leaveIn })}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default UpNextStrip;
@@ -0,0 +1,63 @@
+import React, { forwardRef, useCallback, useImperativeHandle } from 'react';
+import useWindowVirtualizer from '../hooks/useWindowVirtualizer';
+
+// Renders only the rows near the viewport. Rows matching `isSectionHeader`
+// start a section; the header of the section being read stays pinned at
+// `stickyTop`. The ref exposes scrollToIndex(index, { align }).
+const VirtualList = forwardRef(({
+  rows,
+  renderRow,
+  estimateSize,
+  isSectionHeader,
+  sizeCache,
+  stickyTop = 0
+}, ref) => {
+  const getKey = useCallback(index => rows[index].key, [rows]);
+  const estimateRowSize = useCallback(index => estimateSize(rows[index]), [rows, estimateSize]);
+
+  const { containerRef, items, totalHeight, firstVisibleIndex, scrollToIndex } = useWindowVirtualizer({
+    count: rows.length,
+    getKey,
+    estimateSize: estimateRowSize,
+    sizeCache,
+    scrollPaddingTop: stickyTop
+  });
+
+  useImperativeHandle(ref, () => ({ scrollToIndex }), [scrollToIndex]);
+
+  let stickyIndex = -1;
+  for (let index = firstVisibleIndex; index >= 0; index--) {
+    if (isSectionHeader(rows[index])) {
+      stickyIndex = index;
+      break;
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative" style={{ height: totalHeight, overflowAnchor: 'none' }}>
+      {stickyIndex !== -1 && (
+        <div
+          data-virtual-index={stickyIndex}
+          data-virtual-key={rows[stickyIndex].key}
+          className="sticky z-30"
+          style={{ top: stickyTop }}
+        >
+          {renderRow(rows[stickyIndex])}
+        </div>
+      )}
+      {items.filter(item => item.index !== stickyIndex).map(item => (
+        <div
+          key={item.key}
+          data-virtual-index={item.index}
+          data-virtual-key={item.key}
+          className="absolute top-0 left-0 w-full"
+          style={{ transform: `translateY(${item.start}px)` }}
+        >
+          {renderRow(rows[item.index])}
+        </div>
+      ))}
+    </div>
+  );
+});
+
+export default VirtualList;
@@ -30,7 +30,7 @@ const AlertDialogHeader = ({
   ...props
 }) => (
   <div
-    className="flex flex-col space-y-2 text-center sm:text-left"
+    className="flex flex-col space-y-2 text-center sm:text-start"
     {...props} />
 )
 AlertDialogHeader.displayName = "AlertDialogHeader"
@@ -40,7 +40,7 @@ const AlertDialogFooter = ({
   ...props
 }) => (
   <div
-    className="flex flex-col-reverse sm:flex-row sm:justify-end sm:space-x-2"
+    className="flex flex-col-reverse sm:flex-row sm:justify-end sm:gap-2"
     {...props} />
 )
 AlertDialogFooter.displayName = "AlertDialogFooter"
@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react';
+
+// Call onSync every `interval` ms while the page is visible. Polling pauses
+// when the tab is hidden and catches up as soon as it becomes visible again.
+const useBackgroundSync = (onSync, { interval, enabled = true }) => {
+  const onSyncRef = useRef(onSync);
+  onSyncRef.current = onSync;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let timer = null;
+    let lastSync = Date.now();
+
+    const run = () => {
+      lastSync = Date.now();
+      onSyncRef.current();
+      schedule(interval);
+    };
+
+    const schedule = (delay) => {
+      clearTimeout(timer);
+      timer = setTimeout(run, delay);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        clearTimeout(timer);
+        return;
+      }
+      const elapsed = Date.now() - lastSync;
+      if (elapsed >= interval) run();
+      else schedule(interval - elapsed);
+    };
+
+    if (!document.hidden) schedule(interval);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [interval, enabled]);
+};
+
+export default useBackgroundSync;
@@ -0,0 +1,21 @@
+import { useEffect, useRef } from 'react';
+
+// Call onClose when the user presses the mouse anywhere outside the element in
+// ref, while enabled (typically while a menu or dropdown is open).
+const useClickOutside = (ref, onClose, { enabled = true } = {}) => {
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const handleClick = (event) => {
+      if (ref.current && !ref.current.contains(event.target)) {
+        onCloseRef.current();
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [ref, enabled]);
+};
+
+export default useClickOutside;
@@ -0,0 +1,24 @@
+import { useState, useCallback, useRef } from 'react';
+
+// Track an element's rendered height. Returns a callback ref to attach and
+// the current height, which is 0 while nothing is attached.
+const useElementHeight = () => {
+  const [height, setHeight] = useState(0);
+  const observer = useRef(null);
+
+  const ref = useCallback((element) => {
+    observer.current?.disconnect();
+    observer.current = null;
+    if (!element) {
+      setHeight(0);
+      return;
+    }
+    observer.current = new ResizeObserver(() => setHeight(element.offsetHeight));
+    observer.current.observe(element);
+    setHeight(element.offsetHeight);
+  }, []);
+
+  return [ref, height];
+};
+
+export default useElementHeight;
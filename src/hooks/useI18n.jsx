@@ -0,0 +1,35 @@
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
+import { DEFAULT_LOCALE, createTranslator, localeDirection, detectLocale } from '../lib/i18n';
+import useUserData from './useUserData';
+
+const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  dir: 'ltr',
+  setLocale: () => {},
+  t: createTranslator(DEFAULT_LOCALE)
+});
+
+// Owns the UI language and mirrors it onto <html lang dir> for RTL layouts.
+// Until a language is picked it follows the browser's.
+export const I18nProvider = ({ children }) => {
+  const [savedLocale, setLocale] = useUserData('locale');
+  const locale = useMemo(() => savedLocale || detectLocale(), [savedLocale]);
+  const dir = localeDirection(locale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const value = useMemo(() => ({ locale, dir, setLocale, t: createTranslator(locale) }), [locale, dir]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
+
+const useI18n = () => useContext(I18nContext);
+
+export default useI18n;
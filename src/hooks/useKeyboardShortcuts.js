@@ -0,0 +1,31 @@
+import { useEffect, useRef } from 'react';
+
+const isTyping = (target) =>
+  Boolean(target.closest?.('input, textarea, select, [contenteditable="true"]'));
+
+// Single-key shortcuts for the whole page, as { key: handler }. Keys pressed
+// while typing in a field, with a modifier held, or with a dialog open are
+// left to the browser.
+const useKeyboardShortcuts = (shortcuts, { enabled = true } = {}) => {
+  const shortcutsRef = useRef(shortcuts);
+  shortcutsRef.current = shortcuts;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isTyping(event.target) || document.querySelector('[role="alertdialog"]')) return;
+
+      const handler = shortcutsRef.current[event.key];
+      if (!handler) return;
+      event.preventDefault();
+      handler(event);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+export default useKeyboardShortcuts;
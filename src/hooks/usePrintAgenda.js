@@ -0,0 +1,46 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { flushSync } from 'react-dom';
+
+// The agenda being printed, or null. The agenda is only rendered while
+// printing. print(job) renders it and then opens the browser's print dialog;
+// printing from the browser's own menu prints `fallback()` instead.
+const usePrintAgenda = (fallback) => {
+  const [job, setJob] = useState(null);
+  const jobRef = useRef(job);
+  jobRef.current = job;
+  const fallbackRef = useRef(fallback);
+  fallbackRef.current = fallback;
+  const isPrintRequested = useRef(false);
+
+  useEffect(() => {
+    // The page is laid out for print right after this, so render now
+    const handleBeforePrint = () => {
+      if (!jobRef.current) flushSync(() => setJob(fallbackRef.current()));
+    };
+    const handleAfterPrint = () => setJob(null);
+
+    window.addEventListener('beforeprint', handleBeforePrint);
+    window.addEventListener('afterprint', handleAfterPrint);
+    return () => {
+      window.removeEventListener('beforeprint', handleBeforePrint);
+      window.removeEventListener('afterprint', handleAfterPrint);
+    };
+  }, []);
+
+  // Open the print dialog once the agenda has rendered
+  useEffect(() => {
+    if (!job || !isPrintRequested.current) return;
+    isPrintRequested.current = false;
+    const frame = requestAnimationFrame(() => window.print());
+    return () => cancelAnimationFrame(frame);
+  }, [job]);
+
+  const print = useCallback((next) => {
+    isPrintRequested.current = true;
+    setJob(next);
+  }, []);
+
+  return { job, print };
+};
+
+export default usePrintAgenda;
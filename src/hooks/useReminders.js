@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import useUserData from './useUserData';
+import { systemClock } from '../lib/clock';
+import {
+  SNOOZE_MINUTES,
+  dueReminders,
+  upcomingSessions,
+  pruneReminderState,
+  reminderKey
+} from '../lib/reminders';
+
+const TICK = 30 * 1000;
+
+// Tracks upcoming bookmarked sessions and calls onReminder once for each
+// session entering its reminder window (again after a snooze expires)
+const useReminders = ({ sessions, bookmarkedSessions, settings, onReminder, clock = systemClock }) => {
+  const [now, setNow] = useState(() => clock.now());
+  const [reminderState, setReminderState] = useUserData('reminderState');
+  const onReminderRef = useRef(onReminder);
+  onReminderRef.current = onReminder;
+
+  useEffect(() => {
+    setNow(clock.now());
+    const interval = clock.setInterval(() => setNow(clock.now()), TICK);
+    return () => clock.clearInterval(interval);
+  }, [clock]);
+
+  useEffect(() => {
+    if (!settings.enabled) return;
+
+    const due = dueReminders(sessions, bookmarkedSessions, {
+      now,
+      leadMinutes: settings.leadMinutes,
+      reminderState
+    });
+    if (due.length === 0) return;
+
+    setReminderState(prev => {
+      const next = pruneReminderState(prev, now);
+      due.forEach(session => {
+        next[reminderKey(session)] = { status: 'shown' };
+      });
+      return next;
+    });
+    due.forEach(session => onReminderRef.current(session, now));
+  }, [sessions, bookmarkedSessions, settings, now, reminderState]);
+
+  const snooze = useCallback((session) => {
+    setReminderState(prev => ({
+      ...prev,
+      [reminderKey(session)]: { status: 'snoozed', until: clock.now() + SNOOZE_MINUTES * 60 * 1000 }
+    }));
+  }, [clock]);
+
+  const dismiss = useCallback((session) => {
+    setReminderState(prev => ({ ...prev, [reminderKey(session)]: { status: 'dismissed' } }));
+  }, []);
+
+  return {
+    now,
+    upcoming: upcomingSessions(sessions, bookmarkedSessions, now),
+    snooze,
+    dismiss
+  };
+};
+
+export default useReminders;
@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import useBackgroundSync from './useBackgroundSync';
+import { createDataSource } from '../lib/dataSources';
+import { loadSnapshot, saveSnapshot } from '../lib/scheduleCache';
+import { hashSessions } from '../lib/changeLog';
+
+// The schedule, booted from the last saved snapshot and kept fresh from the
+// configured data source: loaded on mount, polled every `interval` ms while
+// visible (every `retryInterval` ms while loads are failing) and reloaded when
+// the network comes back. Background loads skip a beat while one is running;
+// refresh() cancels it and starts over.
+//
+// onLoad({ previous, sessions, isChanged, isManual }) runs after every
+// successful load, before the new sessions are shown.
+const useScheduleData = ({ interval, retryInterval = interval, onLoad }) => {
+  const [initialSnapshot] = useState(loadSnapshot);
+  const [sessions, setSessions] = useState(() => initialSnapshot?.items || []);
+  const [lastSyncedAt, setLastSyncedAt] = useState(() => initialSnapshot?.syncedAt || null);
+  const [isLoading, setIsLoading] = useState(() => !initialSnapshot);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  // Created on first load, so a misconfigured source shows up as a load error
+  const dataSource = useRef(null);
+  const fetchController = useRef(null);
+  const sessionsRef = useRef(sessions);
+  sessionsRef.current = sessions;
+  const sessionsHash = useRef(null);
+  const lastFetched = useRef(null);
+  const onLoadRef = useRef(onLoad);
+  onLoadRef.current = onLoad;
+
+  const load = async (isManual = false) => {
+    fetchController.current?.abort();
+    const controller = new AbortController();
+    fetchController.current = controller;
+
+    const previous = sessionsRef.current;
+    if (isManual) setIsRefreshing(true);
+    else if (previous.length === 0) setIsLoading(true);
+
+    try {
+      if (!dataSource.current) dataSource.current = createDataSource();
+      const next = await dataSource.current.fetchSessions({ signal: controller.signal });
+      setError(null);
+
+      // Sources hand back the very same list when the server reports nothing
+      // changed; anything else is compared by content
+      let isChanged = false;
+      if (next !== lastFetched.current) {
+        if (sessionsHash.current === null && previous.length > 0) sessionsHash.current = hashSessions(previous);
+        const nextHash = hashSessions(next);
+        isChanged = nextHash !== sessionsHash.current;
+        sessionsHash.current = nextHash;
+        lastFetched.current = next;
+      }
+
+      onLoadRef.current?.({ previous, sessions: next, isChanged, isManual });
+      if (isChanged) setSessions(next);
+      setLastSyncedAt(saveSnapshot(isChanged ? next : previous).syncedAt);
+    } catch (loadError) {
+      if (loadError.name === 'AbortError') return;
+      console.error('Failed to fetch sessions:', loadError);
+      setError(loadError);
+    } finally {
+      // A superseded request leaves the flags to the one that replaced it
+      if (fetchController.current === controller) {
+        fetchController.current = null;
+        setIsLoading(false);
+        setIsRefreshing(false);
+      }
+    }
+  };
+
+  const loadInBackground = () => {
+    if (!fetchController.current && navigator.onLine) load();
+  };
+
+  useEffect(() => {
+    load();
+    window.addEventListener('online', loadInBackground);
+    return () => {
+      window.removeEventListener('online', loadInBackground);
+      fetchController.current?.abort();
+    };
+  }, []);
+
+  useBackgroundSync(loadInBackground, { interval: error ? retryInterval : interval });
+
+  const refresh = useCallback(() => load(true), []);
+  const dismissError = useCallback(() => setError(null), []);
+
+  return { sessions, lastSyncedAt, isLoading, isRefreshing, error, refresh, dismissError };
+};
+
+export default useScheduleData;
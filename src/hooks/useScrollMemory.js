@@ -0,0 +1,24 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+
+// Remember the page scroll position for each key (such as the current view)
+// and return to it when that key becomes active again. New keys start at the top.
+const useScrollMemory = (key) => {
+  const positions = useRef({});
+  const activeKey = useRef(key);
+
+  useEffect(() => {
+    const handleScroll = () => {
+      positions.current[activeKey.current] = window.scrollY;
+    };
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, []);
+
+  useLayoutEffect(() => {
+    if (activeKey.current === key) return;
+    activeKey.current = key;
+    window.scrollTo({ top: positions.current[key] ?? 0, behavior: 'instant' });
+  }, [key]);
+};
+
+export default useScrollMemory;
@@ -0,0 +1,65 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { createQueryClient } from '../lib/queryClient';
+
+// Search and filter sessions through the query engine. Returns the matching
+// sessions (best match first when searching) and the terms to highlight per
+// session. `notes` maps session ids to your note text, which is searchable too.
+// Until the first answer arrives every session is shown.
+const useSessionQuery = ({
+  sessions,
+  searchTerm,
+  filters,
+  bookmarkedSessions,
+  notes,
+  now,
+  timeSettings,
+  debounce = 100
+}) => {
+  const clientRef = useRef(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const client = createQueryClient();
+    clientRef.current = client;
+    return () => client.terminate();
+  }, []);
+
+  useEffect(() => {
+    clientRef.current.sync(sessions);
+  }, [sessions]);
+
+  useEffect(() => {
+    clientRef.current.setTimeSettings(timeSettings);
+  }, [timeSettings]);
+
+  useEffect(() => {
+    clientRef.current.setNotes(notes);
+  }, [notes]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      clientRef.current
+        .query({ searchTerm, filters, bookmarkedIds: bookmarkedSessions, now }, { signal: controller.signal })
+        .then(setResult)
+        .catch(error => {
+          if (error.name !== 'AbortError') console.error('Session query failed:', error);
+        });
+    }, debounce);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [sessions, searchTerm, filters, bookmarkedSessions, notes, now, timeSettings, debounce]);
+
+  const sessionsById = useMemo(() => new Map(sessions.map(session => [session.id, session])), [sessions]);
+
+  const matchingSessions = useMemo(() => (
+    result ? result.ids.map(id => sessionsById.get(id)).filter(Boolean) : sessions
+  ), [result, sessionsById, sessions]);
+
+  return { matchingSessions, highlights: result?.highlights || {} };
+};
+
+export default useSessionQuery;
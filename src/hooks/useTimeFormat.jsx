@@ -0,0 +1,35 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { DEFAULT_TIME_SETTINGS, createTimeFormat } from '../lib/datetime';
+import useI18n from './useI18n';
+import useUserData from './useUserData';
+
+const TimeSettingsContext = createContext({
+  settings: DEFAULT_TIME_SETTINGS,
+  setSettings: () => {},
+  timeFormat: createTimeFormat()
+});
+
+// Owns the user's timezone and clock preferences and the formatter built from
+// them, formatting in the current UI language
+export const TimeSettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useUserData('timeSettings');
+  const { locale } = useI18n();
+  const timeFormat = useMemo(() => createTimeFormat(settings, locale), [settings, locale]);
+
+  const value = useMemo(() => ({ settings, setSettings, timeFormat }), [settings, timeFormat]);
+
+  return (
+    <TimeSettingsContext.Provider value={value}>
+      {children}
+    </TimeSettingsContext.Provider>
+  );
+};
+
+export const useTimeSettings = () => {
+  const { settings, setSettings } = useContext(TimeSettingsContext);
+  return [settings, setSettings];
+};
+
+const useTimeFormat = () => useContext(TimeSettingsContext).timeFormat;
+
+export default useTimeFormat;
@@ -0,0 +1,35 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+
+const DEFAULT_DURATION = 8000;
+
+// In-app toast queue. Toasts close themselves after `duration` ms unless it is 0.
+const useToasts = () => {
+  const [toasts, setToasts] = useState([]);
+  const timers = useRef(new Map());
+  const nextId = useRef(0);
+
+  const dismissToast = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  const pushToast = useCallback(({ duration = DEFAULT_DURATION, ...toast }) => {
+    const id = toast.id ?? `toast-${nextId.current++}`;
+    clearTimeout(timers.current.get(id));
+    setToasts(prev => [...prev.filter(existing => existing.id !== id), { ...toast, id }]);
+    if (duration > 0) {
+      timers.current.set(id, setTimeout(() => dismissToast(id), duration));
+    }
+    return id;
+  }, [dismissToast]);
+
+  useEffect(() => {
+    const activeTimers = timers.current;
+    return () => activeTimers.forEach(timer => clearTimeout(timer));
+  }, []);
+
+  return { toasts, pushToast, dismissToast };
+};
+
+export default useToasts;
@@ -0,0 +1,65 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useSyncExternalStore } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { openUserDataStore, openTemporaryStore } from '../lib/userData';
+
+const UserDataContext = createContext(null);
+
+// Opens the user data store before rendering the app, so every piece of saved
+// state is available synchronously on first render. If it can't be opened at
+// all, the app still runs on a store that saves nothing, and says so.
+export const UserDataProvider = ({ children }) => {
+  const [store, setStore] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+    let opened = null;
+    openUserDataStore()
+      .catch(error => {
+        console.error('Failed to open user data:', error);
+        return openTemporaryStore();
+      })
+      .then(result => {
+        if (isCancelled) {
+          result.close();
+          return;
+        }
+        opened = result;
+        setStore(result);
+      });
+    return () => {
+      isCancelled = true;
+      opened?.close();
+    };
+  }, []);
+
+  // Usually a few milliseconds; the language isn't known yet, so no text
+  if (!store) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" aria-busy="true">
+        <RefreshCw className="w-8 h-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <UserDataContext.Provider value={store}>
+      {children}
+    </UserDataContext.Provider>
+  );
+};
+
+export const useUserDataStore = () => useContext(UserDataContext);
+
+// useState for one field of the user data: saved, and kept in sync across tabs
+const useUserData = (field) => {
+  const store = useUserDataStore();
+  const value = useSyncExternalStore(store.subscribe, () => store.get(field));
+
+  const setValue = useCallback((next) => {
+    store.set(field, typeof next === 'function' ? next(store.get(field)) : next);
+  }, [store, field]);
+
+  return [value, setValue];
+};
+
+export default useUserData;
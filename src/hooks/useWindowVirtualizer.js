@@ -0,0 +1,186 @@
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
+
+const EMPTY_RANGE = { start: 0, end: -1, first: 0 };
+
+// Last index whose start offset is at or before `offset`
+const indexAt = (starts, offset) => {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// Windowed rendering for a list that scrolls with the page. Only rows near the
+// viewport are rendered. Row heights start as estimates and are replaced by
+// measurements (cached per row key in `sizeCache`) as rows render or resize.
+// `scrollPaddingTop` is the height of anything pinned over the top of the list.
+const useWindowVirtualizer = ({
+  count,
+  getKey,
+  estimateSize,
+  sizeCache,
+  overscan = 800,
+  scrollPaddingTop = 0
+}) => {
+  const containerRef = useRef(null);
+  const observerRef = useRef(null);
+  const pendingScroll = useRef(null);
+  const [sizesVersion, setSizesVersion] = useState(0);
+  const [range, setRange] = useState(EMPTY_RANGE);
+
+  const layout = useMemo(() => {
+    const starts = new Array(count);
+    const sizes = new Array(count);
+    let offset = 0;
+    for (let index = 0; index < count; index++) {
+      starts[index] = offset;
+      sizes[index] = sizeCache.get(getKey(index)) ?? estimateSize(index);
+      offset += sizes[index];
+    }
+    return { starts, sizes, total: offset };
+  }, [count, getKey, estimateSize, sizeCache, sizesVersion]);
+
+  const layoutRef = useRef(layout);
+  layoutRef.current = layout;
+
+  // How far the top of the list has scrolled above the top of the viewport
+  const scrolledPast = () => -containerRef.current.getBoundingClientRect().top;
+
+  const updateRange = useCallback(() => {
+    const { starts } = layoutRef.current;
+    if (!containerRef.current || starts.length === 0) {
+      setRange(EMPTY_RANGE);
+      return;
+    }
+    const top = scrolledPast();
+    const next = {
+      start: indexAt(starts, top - overscan),
+      end: indexAt(starts, top + window.innerHeight + overscan),
+      first: indexAt(starts, top + scrollPaddingTop)
+    };
+    setRange(prev => (
+      prev.start === next.start && prev.end === next.end && prev.first === next.first ? prev : next
+    ));
+  }, [overscan, scrollPaddingTop]);
+
+  useEffect(() => {
+    // Rows reflow when the width changes, so earlier measurements no longer hold
+    let width = window.innerWidth;
+    const handleResize = () => {
+      if (window.innerWidth !== width) {
+        width = window.innerWidth;
+        sizeCache.clear();
+        setSizesVersion(version => version + 1);
+      }
+      updateRange();
+    };
+
+    window.addEventListener('scroll', updateRange, { passive: true });
+    window.addEventListener('resize', handleResize);
+    return () => {
+      window.removeEventListener('scroll', updateRange);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, [updateRange, sizeCache]);
+
+  // Record real heights. Rows above the viewport that change size would push
+  // the visible content around, so the scroll position absorbs the difference.
+  const measure = useCallback((elements) => {
+    if (!containerRef.current) return;
+    const { starts, sizes } = layoutRef.current;
+    const top = scrolledPast();
+    let changed = false;
+    let shift = 0;
+
+    elements.forEach(element => {
+      const index = Number(element.dataset.virtualIndex);
+      const height = element.offsetHeight;
+      if (index >= sizes.length || height === sizes[index]) return;
+      if (starts[index] < top) shift += height - sizes[index];
+      sizeCache.set(element.dataset.virtualKey, height);
+      changed = true;
+    });
+
+    if (!changed) return;
+    if (shift !== 0 && !pendingScroll.current) window.scrollBy({ top: shift, behavior: 'instant' });
+    setSizesVersion(version => version + 1);
+  }, [sizeCache]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // Scroll until the requested row sits where it should. Rows measured on the
+  // way can move the target, so this re-runs after each render until it holds.
+  const settleScroll = useCallback(() => {
+    const pending = pendingScroll.current;
+    if (!pending || !containerRef.current) return;
+
+    const { starts, sizes } = layoutRef.current;
+    const { index, align } = pending;
+    const rowTop = window.scrollY - scrolledPast() + starts[index];
+    const visibleHeight = window.innerHeight - scrollPaddingTop;
+    const target = align === 'center'
+      ? rowTop + sizes[index] / 2 - scrollPaddingTop - visibleHeight / 2
+      : rowTop - scrollPaddingTop;
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    const clamped = Math.round(Math.max(0, Math.min(target, maxScroll)));
+
+    if (Math.abs(window.scrollY - clamped) < 1 || pending.attempts >= 10) {
+      pendingScroll.current = null;
+      pending.resolve();
+      return;
+    }
+    pending.attempts += 1;
+    window.scrollTo({ top: clamped, behavior: 'instant' });
+    updateRange();
+    requestAnimationFrame(settleScroll);
+  }, [scrollPaddingTop, updateRange]);
+
+  const scrollToIndex = useCallback((index, { align = 'start' } = {}) => new Promise(resolve => {
+    pendingScroll.current?.resolve();
+    if (index < 0 || index >= layoutRef.current.starts.length) {
+      pendingScroll.current = null;
+      resolve();
+      return;
+    }
+    pendingScroll.current = { index, align, attempts: 0, resolve };
+    settleScroll();
+  }), [settleScroll]);
+
+  // After every render: measure what was rendered, keep watching it for size
+  // changes, and refresh the range in case the list itself moved on the page
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const elements = Array.from(container.querySelectorAll(':scope > [data-virtual-index]'));
+    measure(elements);
+
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver(entries => measure(entries.map(entry => entry.target)));
+    }
+    observerRef.current.disconnect();
+    elements.forEach(element => observerRef.current.observe(element));
+
+    updateRange();
+    settleScroll();
+  });
+
+  const items = [];
+  const end = Math.min(range.end, count - 1);
+  for (let index = range.start; index <= end; index++) {
+    items.push({ index, key: getKey(index), start: layout.starts[index] });
+  }
+
+  return {
+    containerRef,
+    items,
+    totalHeight: layout.total,
+    firstVisibleIndex: Math.min(range.first, count - 1),
+    scrollToIndex
+  };
+};
+
+export default useWindowVirtualizer;
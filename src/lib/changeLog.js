@@ -0,0 +1,111 @@
+// Field-level diffing between schedule snapshots, and the history of those
+// diffs (kept in the user data store as `changeLog`).
+const MAX_ENTRIES = 20;
+
+const speakerNames = (session) =>
+  (session.speakers || []).map(speaker => speaker.name).sort().join(', ');
+
+// Fields compared between snapshots, in display order
+const TRACKED_FIELDS = [
+  {
+    field: 'time',
+    read: session => ({ start: session.slot_start, end: session.slot_end }),
+    equals: (a, b) => a.start === b.start && a.end === b.end
+  },
+  { field: 'room', read: session => session.slot_room?.name || '' },
+  { field: 'speakers', read: speakerNames },
+  { field: 'title', read: session => session.title },
+  { field: 'track', read: session => session.track || '' }
+];
+
+const summarize = (session) => ({ id: session.id, title: session.title });
+
+export const diffSessions = (previous, next) => {
+  const previousById = new Map(previous.map(session => [session.id, session]));
+  const nextIds = new Set(next.map(session => session.id));
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  next.forEach(session => {
+    const existing = previousById.get(session.id);
+    if (!existing) {
+      diff.added.push(summarize(session));
+      return;
+    }
+    if (JSON.stringify(existing) === JSON.stringify(session)) {
+      diff.unchanged++;
+      return;
+    }
+
+    const changes = [];
+    TRACKED_FIELDS.forEach(({ field, read, equals }) => {
+      const before = read(existing);
+      const after = read(session);
+      const isEqual = equals ? equals(before, after) : before === after;
+      if (!isEqual) changes.push({ field, before, after });
+    });
+    // Anything else (description, resources, ...) is reported without values
+    if (changes.length === 0) changes.push({ field: 'details' });
+
+    diff.changed.push({ ...summarize(session), changes });
+  });
+
+  previous.forEach(session => {
+    if (!nextIds.has(session.id)) diff.removed.push(summarize(session));
+  });
+
+  return diff;
+};
+
+export const hasChanges = (diff) =>
+  diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+
+// Ids of sessions touched by a diff, used to spot affected bookmarks
+export const affectedIds = (diff) => [
+  ...diff.added.map(item => item.id),
+  ...diff.removed.map(item => item.id),
+  ...diff.changed.map(item => item.id)
+];
+
+// Newest entries first, capped so the log can't grow without bound
+export const appendChangeLog = (entries, diff) => [
+  { at: new Date().toISOString(), ...diff, seen: false },
+  ...entries
+].slice(0, MAX_ENTRIES);
+
+// FNV-1a hash, for telling content apart without keeping a copy of it
+export const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+};
+
+// Used to skip diffing when a sync returns exactly what we already have
+export const hashSessions = (sessions) => hashText(JSON.stringify(sessions));
+
+// Changes worth interrupting the user for: bookmarked sessions that were
+// cancelled, rescheduled or moved to another room
+export const bookmarkAlerts = (diff, bookmarkedIds) => {
+  const alerts = [];
+
+  diff.removed
+    .filter(item => bookmarkedIds.includes(item.id))
+    .forEach(item => alerts.push({ id: item.id, title: item.title, kind: 'cancelled' }));
+
+  diff.changed
+    .filter(item => bookmarkedIds.includes(item.id))
+    .forEach(item => {
+      item.changes
+        .filter(change => change.field === 'time' || change.field === 'room')
+        .forEach(change => alerts.push({
+          id: item.id,
+          title: item.title,
+          kind: change.field === 'time' ? 'rescheduled' : 'moved',
+          after: change.after
+        }));
+    });
+
+  return alerts;
+};
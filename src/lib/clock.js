@@ -0,0 +1,7 @@
+// Time source for anything that schedules work against the wall clock.
+// Pass a fake with the same shape to drive reminders deterministically.
+export const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => window.setInterval(callback, ms),
+  clearInterval: (id) => window.clearInterval(id)
+};
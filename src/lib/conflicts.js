@@ -0,0 +1,69 @@
+// Overlap detection for the My Schedule itinerary.
+
+export const sessionsOverlap = (a, b) =>
+  new Date(a.slot_start) < new Date(b.slot_end) &&
+  new Date(b.slot_start) < new Date(a.slot_end);
+
+// Split sessions into clusters of transitively overlapping sessions, in start order
+export const clusterOverlapping = (sessions) => {
+  const sorted = [...sessions].sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start));
+  const clusters = [];
+  let current = null;
+  let currentEnd = 0;
+
+  sorted.forEach(session => {
+    const start = new Date(session.slot_start).getTime();
+    const end = new Date(session.slot_end).getTime();
+    if (current && start < currentEnd) {
+      current.push(session);
+      currentEnd = Math.max(currentEnd, end);
+    } else {
+      current = [session];
+      currentEnd = end;
+      clusters.push(current);
+    }
+  });
+
+  return clusters;
+};
+
+// Work out which sessions of a cluster are attended, which are backups for an
+// attended session, and which still clash with nothing picked
+const resolveCluster = (cluster, attendingIds) => {
+  const statuses = {};
+  const attending = cluster.filter(session => attendingIds.includes(session.id));
+  const remaining = [];
+
+  cluster.forEach(session => {
+    if (attendingIds.includes(session.id)) {
+      statuses[session.id] = 'attending';
+      remaining.push(session);
+    } else if (attending.some(chosen => sessionsOverlap(chosen, session))) {
+      statuses[session.id] = 'backup';
+    } else {
+      remaining.push(session);
+    }
+  });
+
+  let hasConflict = false;
+  remaining.forEach(session => {
+    if (remaining.some(other => other !== session && sessionsOverlap(session, other))) {
+      statuses[session.id] = 'conflict';
+      hasConflict = true;
+    }
+  });
+
+  return { sessions: cluster, statuses, hasConflict };
+};
+
+// Build one day's itinerary from bookmarked sessions
+export const buildItinerary = (sessions, attendingIds) => {
+  const entries = clusterOverlapping(sessions).map(cluster =>
+    cluster.length > 1 ? resolveCluster(cluster, attendingIds) : { sessions: cluster, statuses: {}, hasConflict: false }
+  );
+
+  return {
+    entries,
+    conflicts: entries.filter(entry => entry.hasConflict).length
+  };
+};
@@ -0,0 +1,16 @@
+// Raised when a data source can't be reached or returns an unusable payload.
+// Retryable errors are transient (timeouts, network failures, 5xx). The code
+// says what went wrong for the UI to explain in the user's language: timeout,
+// unreachable, http-status, invalid-json, invalid-response, incomplete-pages or
+// misconfigured. The message is for logs.
+export default class DataSourceError extends Error {
+  constructor(message, { code, source, status, cause, retryable = false } = {}) {
+    super(message);
+    this.name = 'DataSourceError';
+    this.code = code;
+    this.source = source;
+    this.status = status;
+    this.cause = cause;
+    this.retryable = retryable;
+  }
+}
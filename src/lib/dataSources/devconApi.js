@@ -0,0 +1,72 @@
+// Devcon API (api.devcon.org), optionally behind a CORS proxy. Sessions are
+// fetched page by page until a short page or the reported total is reached;
+// anything that would leave the list incomplete is an error, not the end.
+// Later loads revalidate each page with its ETag / Last-Modified where
+// fetchJson can (not through a cross-origin proxy), and hand back the previous
+// list untouched when every page comes back 304.
+import DataSourceError from './DataSourceError';
+import { fetchJsonIfChanged } from './fetchJson';
+import { normalizeSessions } from './normalize';
+
+// Upper bound on pages, so a misbehaving API can't keep us paging forever
+const MAX_PAGES = 50;
+
+export const createDevconApiSource = ({
+  name = 'Devcon API',
+  baseUrl = 'https://api.devcon.org',
+  event = 'devcon-7',
+  proxy = '',
+  pageSize = 200
+}) => {
+  // Pages of the last successful load, and the sessions built from them
+  let previous = null;
+
+  const fetchSessions = async ({ signal } = {}) => {
+    const pages = [];
+    const items = [];
+    const seenIds = new Set();
+    let total = null;
+
+    for (let page = 0; ; page++) {
+      if (page === MAX_PAGES) {
+        throw new DataSourceError(`${name} returned more than ${MAX_PAGES} pages`, { code: 'incomplete-pages', source: name });
+      }
+
+      const url = `${baseUrl}/sessions?sort=slot_start&order=asc&event=${encodeURIComponent(event)}&size=${pageSize}&from=${page * pageSize}`;
+      const cached = previous?.pages[page];
+      const response = await fetchJsonIfChanged(`${proxy}${url}`, { source: name, signal, validator: cached?.validator });
+      const data = response.notModified ? cached.data : response.data;
+      pages.push({ data, validator: response.validator, notModified: Boolean(response.notModified) });
+
+      const pageItems = data?.data?.items;
+      if (!Array.isArray(pageItems)) {
+        throw new DataSourceError(`${name} response is missing data.items`, { code: 'invalid-response', source: name });
+      }
+
+      // A page starting with a session we already have means the offset was
+      // ignored; carrying on would silently repeat the first page
+      if (page > 0 && pageItems.length > 0 && seenIds.has(pageItems[0]?.id)) {
+        throw new DataSourceError(`${name} returned the same page twice`, { code: 'incomplete-pages', source: name });
+      }
+
+      pageItems.forEach(item => {
+        if (seenIds.has(item?.id)) return;
+        seenIds.add(item?.id);
+        items.push(item);
+      });
+
+      if (typeof data.data.total === 'number') total = data.data.total;
+      if (pageItems.length < pageSize || (total !== null && items.length >= total)) break;
+    }
+
+    if (total !== null && items.length < total) {
+      throw new DataSourceError(`${name} returned ${items.length} of ${total} sessions`, { code: 'incomplete-pages', source: name });
+    }
+
+    const isUnchanged = previous?.pages.length === pages.length && pages.every(entry => entry.notModified);
+    if (!isUnchanged) previous = { pages, sessions: normalizeSessions(items, name) };
+    return previous.sessions;
+  };
+
+  return { name, fetchSessions };
+};
@@ -0,0 +1,129 @@
+// JSON fetching shared by the adapters: a per-attempt timeout, retries with
+// exponential backoff for transient failures, caller cancellation, and
+// conditional requests against an earlier response's ETag / Last-Modified.
+//
+// Conditional requests are only made same-origin (and outside the browser).
+// Cross-origin, If-None-Match / If-Modified-Since aren't CORS-safelisted, so
+// they would cost a preflight on every sync, and ETag can't be read back
+// unless the server (or CORS proxy) exposes it. Those requests use
+// `cache: 'no-cache'` instead: the browser revalidates with its own cached
+// validators, without a preflight, and hands back the cached body on a 304.
+// They never come back as notModified; callers compare content instead.
+import DataSourceError from './DataSourceError';
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY = 500;
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+const abortError = () => new DOMException('The request was aborted', 'AbortError');
+
+// Resolve after ms, rejecting early if the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const isCrossOrigin = (url) =>
+  typeof window !== 'undefined' && new URL(url, window.location.href).origin !== window.location.origin;
+
+// Request headers that ask the server to answer 304 if nothing changed
+const conditionalHeaders = (validator) => {
+  const headers = {};
+  if (validator?.etag) headers['If-None-Match'] = validator.etag;
+  if (validator?.lastModified) headers['If-Modified-Since'] = validator.lastModified;
+  return headers;
+};
+
+// What to revalidate this response against next time, if the server said
+const responseValidator = (response) => {
+  const etag = response.headers.get('ETag');
+  const lastModified = response.headers.get('Last-Modified');
+  return etag || lastModified ? { etag, lastModified } : null;
+};
+
+// A single attempt, aborted after timeout ms or when the caller aborts
+const attempt = async (url, { source, signal, timeout, validator }) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = setTimeout(abort, timeout);
+  signal?.addEventListener('abort', abort, { once: true });
+
+  const crossOrigin = isCrossOrigin(url);
+  try {
+    let response;
+    try {
+      response = await fetch(url, crossOrigin
+        ? { signal: controller.signal, cache: 'no-cache' }
+        : { signal: controller.signal, headers: conditionalHeaders(validator) });
+    } catch (error) {
+      if (signal?.aborted) throw abortError();
+      if (error.name === 'AbortError') {
+        throw new DataSourceError(`${source} did not respond within ${Math.round(timeout / 1000)}s`, {
+          code: 'timeout',
+          source,
+          cause: error,
+          retryable: true
+        });
+      }
+      throw new DataSourceError(`Could not reach ${source}`, { code: 'unreachable', source, cause: error, retryable: true });
+    }
+
+    if (response.status === 304) return { notModified: true, validator };
+
+    if (!response.ok) {
+      throw new DataSourceError(`${source} responded with ${response.status}`, {
+        code: 'http-status',
+        source,
+        status: response.status,
+        retryable: isRetryableStatus(response.status)
+      });
+    }
+
+    try {
+      return { data: await response.json(), validator: crossOrigin ? null : responseValidator(response) };
+    } catch (error) {
+      if (signal?.aborted) throw abortError();
+      throw new DataSourceError(`${source} returned invalid JSON`, { code: 'invalid-json', source, cause: error });
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+};
+
+// Resolves to { data, validator }, or to { notModified: true, validator } when
+// the server answers 304 to the validator of an earlier response. Keep the
+// validator to pass in next time; it is null cross-origin (see above).
+export const fetchJsonIfChanged = async (url, {
+  source,
+  signal,
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+  validator = null
+} = {}) => {
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    try {
+      return await attempt(url, { source, signal, timeout, validator });
+    } catch (error) {
+      if (!error.retryable || attemptNumber >= retries) throw error;
+      // 0.5s, 1s, 2s, ... with jitter so clients don't retry in lockstep
+      const delay = BASE_DELAY * 2 ** attemptNumber * (1 + Math.random() * 0.5);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+export const fetchJson = async (url, options) => (await fetchJsonIfChanged(url, options)).data;
@@ -0,0 +1,51 @@
+// Data source selection. The adapter is picked by config, defaulting to the
+// build-time VITE_DATA_SOURCE* variables (see .env.example).
+import DataSourceError from './DataSourceError';
+import { createDevconApiSource } from './devconApi';
+import { createStaticJsonSource } from './staticJson';
+import { createPretalxSource } from './pretalx';
+
+export { DataSourceError };
+
+const ADAPTERS = {
+  devcon: (config) => createDevconApiSource({
+    baseUrl: config.url,
+    event: config.event,
+    proxy: config.proxy ?? 'https://corsproxy.io/?'
+  }),
+  static: (config) => createStaticJsonSource({ url: config.url }),
+  pretalx: (config) => createPretalxSource({ url: config.url }),
+  // A local server mimicking the Devcon API, reached without a proxy
+  mock: (config) => createDevconApiSource({
+    name: 'Mock server',
+    baseUrl: config.url || 'http://localhost:4000',
+    event: config.event,
+    proxy: ''
+  })
+};
+
+const emptyToUndefined = (value) => (value === '' || value === undefined ? undefined : value);
+
+export const getDataSourceConfig = (env = import.meta.env) => ({
+  type: env.VITE_DATA_SOURCE || 'devcon',
+  url: emptyToUndefined(env.VITE_DATA_SOURCE_URL),
+  event: emptyToUndefined(env.VITE_DATA_SOURCE_EVENT),
+  proxy: env.VITE_DATA_SOURCE_PROXY
+});
+
+export const createDataSource = (config = getDataSourceConfig()) => {
+  const adapter = ADAPTERS[config.type];
+  if (!adapter) {
+    throw new DataSourceError(`Unknown data source "${config.type}"`, {
+      code: 'misconfigured',
+      source: config.type
+    });
+  }
+  if (config.type === 'pretalx' && !config.url) {
+    throw new DataSourceError('The pretalx data source needs VITE_DATA_SOURCE_URL', {
+      code: 'misconfigured',
+      source: config.type
+    });
+  }
+  return adapter(config);
+};
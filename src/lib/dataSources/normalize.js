@@ -0,0 +1,65 @@
+// The app's session model, which every adapter maps into:
+//
+//   id, title, description, track, slot_start, slot_end (ISO strings),
+//   slot_room: { name } | null, speakers: [{ id, name, avatar }],
+//   resources_presentation, resources_slides
+//
+// It mirrors the Devcon API shape the UI was first built against.
+import DataSourceError from './DataSourceError';
+
+const isValidDate = (value) => value && !Number.isNaN(new Date(value).getTime());
+
+const optionalString = (value) => (typeof value === 'string' && value.trim() ? value : null);
+
+// Speakers without an id are keyed by name, so the same person gets the same
+// id in every session they appear in
+const nameToId = (name) => name.trim().toLowerCase().replace(/\s+/g, '-');
+
+const normalizeSpeaker = (speaker) => {
+  const name = optionalString(speaker?.name);
+  if (!name) return null;
+  return {
+    ...speaker,
+    id: String(speaker.id ?? nameToId(name)),
+    name,
+    avatar: optionalString(speaker.avatar)
+  };
+};
+
+// Returns null for sessions that can't be placed on the schedule
+export const normalizeSession = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  if (raw.id === undefined || raw.id === null) return null;
+  if (!optionalString(raw.title)) return null;
+  if (!isValidDate(raw.slot_start) || !isValidDate(raw.slot_end)) return null;
+
+  const roomName = optionalString(raw.slot_room?.name);
+
+  return {
+    ...raw,
+    id: String(raw.id),
+    title: raw.title,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    track: optionalString(raw.track),
+    slot_start: new Date(raw.slot_start).toISOString(),
+    slot_end: new Date(raw.slot_end).toISOString(),
+    slot_room: roomName ? { ...raw.slot_room, name: roomName } : null,
+    speakers: Array.isArray(raw.speakers)
+      ? raw.speakers.map(normalizeSpeaker).filter(Boolean)
+      : [],
+    resources_presentation: optionalString(raw.resources_presentation),
+    resources_slides: optionalString(raw.resources_slides)
+  };
+};
+
+// Validate a list of raw sessions, dropping unusable entries
+export const normalizeSessions = (items, source) => {
+  if (!Array.isArray(items)) {
+    throw new DataSourceError('Expected a list of sessions', { code: 'invalid-response', source });
+  }
+
+  return items
+    .map(normalizeSession)
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start));
+};
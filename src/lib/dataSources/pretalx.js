@@ -0,0 +1,52 @@
+// Pretalx / Frab schedule export (schedule.json): conference days holding
+// events per room, each with a start date and an HH:MM duration
+import DataSourceError from './DataSourceError';
+import { fetchJson } from './fetchJson';
+import { normalizeSessions } from './normalize';
+
+const durationToMs = (duration) => {
+  const [hours = 0, minutes = 0] = String(duration || '').split(':').map(Number);
+  return ((hours * 60) + minutes) * 60 * 1000;
+};
+
+const attachmentUrl = (event, pattern) =>
+  (event.attachments || []).find(attachment => pattern.test(attachment.title || ''))?.url;
+
+export const mapPretalxEvent = (event, roomName) => {
+  const start = new Date(event.date);
+  return {
+    id: event.guid || event.id,
+    title: event.title,
+    description: event.abstract || event.description || '',
+    track: event.track,
+    slot_start: event.date,
+    slot_end: new Date(start.getTime() + durationToMs(event.duration)).toISOString(),
+    slot_room: { name: event.room || roomName },
+    speakers: (event.persons || []).map(person => ({
+      id: person.code || person.guid || person.id,
+      name: person.public_name || person.full_public_name || person.name,
+      avatar: person.avatar
+    })),
+    resources_presentation: event.url,
+    resources_slides: attachmentUrl(event, /slide/i)
+  };
+};
+
+export const createPretalxSource = ({ name = 'Pretalx schedule', url }) => ({
+  name,
+  fetchSessions: async ({ signal } = {}) => {
+    const data = await fetchJson(url, { source: name, signal });
+
+    const days = data?.schedule?.conference?.days;
+    if (!Array.isArray(days)) {
+      throw new DataSourceError(`${name} is missing schedule.conference.days`, { code: 'invalid-response', source: name });
+    }
+
+    const items = days.flatMap(day =>
+      Object.entries(day.rooms || {}).flatMap(([roomName, events]) =>
+        (events || []).map(event => mapPretalxEvent(event, roomName))
+      )
+    );
+    return normalizeSessions(items, name);
+  }
+});
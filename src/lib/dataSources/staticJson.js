@@ -0,0 +1,12 @@
+// A static JSON file holding either a list of sessions in the app's model or
+// an object with a `sessions` list
+import { fetchJson } from './fetchJson';
+import { normalizeSessions } from './normalize';
+
+export const createStaticJsonSource = ({ name = 'Static schedule', url = '/schedule.json' }) => ({
+  name,
+  fetchSessions: async ({ signal } = {}) => {
+    const data = await fetchJson(url, { source: name, signal });
+    return normalizeSessions(Array.isArray(data) ? data : data?.sessions, name);
+  }
+});
@@ -0,0 +1,93 @@
+// All date and time formatting goes through here. Times are shown in the
+// venue's timezone by default (or the viewer's own, if they prefer), and days
+// are grouped by YYYY-MM-DD keys in that timezone rather than by labels.
+
+// Keys and comparisons are built from parts in a fixed locale so they never
+// depend on the display language's digits or ordering
+const PARTS_LOCALE = 'en-US';
+
+export const VENUE_TIME_ZONE = import.meta.env.VITE_VENUE_TIME_ZONE || 'Asia/Bangkok';
+
+export const DEFAULT_TIME_SETTINGS = {
+  zone: 'venue',
+  hourCycle: '12h'
+};
+
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Intl.DateTimeFormat construction is slow, so formatters are shared
+const formatters = new Map();
+const getFormatter = (locale, options) => {
+  const key = `${locale}:${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat(locale, options));
+  }
+  return formatters.get(key);
+};
+
+const partsOf = (value, options, locale = PARTS_LOCALE) =>
+  Object.fromEntries(
+    getFormatter(locale, options).formatToParts(new Date(value)).map(part => [part.type, part.value])
+  );
+
+// Formatting helpers bound to one set of time settings and a display locale
+export const createTimeFormat = (settings = DEFAULT_TIME_SETTINGS, locale = 'en') => {
+  const timeZone = settings.zone === 'local' ? localTimeZone() : VENUE_TIME_ZONE;
+  const hourCycle = settings.hourCycle === '24h' ? 'h23' : 'h12';
+  const timeOptions = { hour: '2-digit', minute: '2-digit', hourCycle, timeZone };
+
+  const format = (value, options) => getFormatter(locale, { ...options, timeZone }).format(new Date(value));
+  const time = (value) => getFormatter(locale, timeOptions).format(new Date(value));
+
+  return {
+    settings,
+    locale,
+    timeZone,
+
+    time,
+    timeRange: (start, end) => `${time(start)} - ${time(end)}`,
+
+    // "Tue, Nov 12, 10:00 AM"
+    dateTime: (value) => format(value, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle
+    }),
+
+    // "Nov 12, 10:00 AM", for timestamps such as sync times
+    timestamp: (value) => format(value, {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle
+    }),
+
+    // "Tue, Nov 12"
+    shortDay: (value) => format(value, { weekday: 'short', month: 'short', day: 'numeric' }),
+
+    // "Tuesday, Nov 12" for a day key. Keys are already in the display
+    // timezone, so they are formatted as UTC dates to avoid shifting them again.
+    dayLabel: (key) =>
+      getFormatter(locale, { weekday: 'long', month: 'short', day: 'numeric', timeZone: 'UTC' })
+        .format(new Date(`${key}T12:00:00Z`)),
+
+    // Calendar day in the display timezone, e.g. "2024-11-12"
+    dayKey: (value) => {
+      const { year, month, day } = partsOf(value, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone });
+      return `${year}-${month}-${day}`;
+    },
+
+    // "HH:MM" on a 24h clock, comparable as a string
+    timeOfDay: (value) => {
+      const { hour, minute } = partsOf(value, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone });
+      return `${hour}:${minute}`;
+    },
+
+    // Short zone name such as "GMT+7"
+    zoneLabel: partsOf(Date.now(), { timeZoneName: 'short', timeZone }, locale).timeZoneName
+  };
+};
@@ -0,0 +1,12 @@
+// Save generated text as a file through a temporary link
+export const downloadFile = (content, { filename, type }) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,31 @@
+// Schedule filters. Empty lists mean "all"; presets are named snapshots of
+// the search term plus filters, kept with the rest of the user data. Matching
+// sessions against filters happens in the query engine.
+
+export const DEFAULT_FILTERS = {
+  days: [],
+  tracks: [],
+  rooms: [],
+  timeFrom: '',
+  timeTo: '',
+  withSlides: false,
+  startingWithin: '',
+  hideBookmarked: false
+};
+
+export const hasActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some(key =>
+    JSON.stringify(filters[key]) !== JSON.stringify(DEFAULT_FILTERS[key])
+  );
+
+export const toggleValue = (list, value) =>
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+export const addValue = (list, value) =>
+  list.includes(value) ? list : [...list, value];
+
+// Saving under an existing name overwrites that preset
+export const upsertPreset = (presets, preset) => [
+  ...presets.filter(existing => existing.name !== preset.name),
+  preset
+].sort((a, b) => a.name.localeCompare(b.name));
@@ -0,0 +1,59 @@
+import en from '../locales/en';
+import es from '../locales/es';
+import ar from '../locales/ar';
+
+// Message catalogs are flat maps of key -> string. A message can also be an
+// object of plural forms keyed by Intl.PluralRules category ("one", "few",
+// "other", ...) or an exact count ("=0"), picked using params.count.
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  es: { name: 'Español', dir: 'ltr', messages: es },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar }
+};
+
+export const isSupportedLocale = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+export const localeDirection = (locale) => LOCALES[locale]?.dir || 'ltr';
+
+const selectPlural = (forms, count, pluralRules) =>
+  forms[`=${count}`] ?? forms[pluralRules.select(count)] ?? forms.other;
+
+// Fill {name} placeholders, formatting numbers for the locale
+const interpolate = (message, params, numberFormat) =>
+  message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? numberFormat.format(value) : String(value);
+  });
+
+// Returns t(key, params), falling back to English and then to the key itself
+export const createTranslator = (locale = DEFAULT_LOCALE) => {
+  const messages = LOCALES[locale]?.messages || en;
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  return (key, params = {}) => {
+    let message = messages[key] ?? en[key];
+    if (message === undefined) {
+      // Worth flagging while developing; in production the key is enough
+      if (import.meta.env.DEV) console.warn(`Missing translation: ${key}`);
+      return key;
+    }
+    if (typeof message === 'object') {
+      message = selectPlural(message, params.count ?? 0, pluralRules);
+    }
+    return interpolate(message, params, numberFormat);
+  };
+};
+
+// First supported language from the browser's preferences
+export const detectLocale = (languages = navigator.languages || [navigator.language]) => {
+  for (const language of languages) {
+    const base = String(language).toLowerCase().split('-')[0];
+    if (isSupportedLocale(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+};
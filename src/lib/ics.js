@@ -0,0 +1,126 @@
+// iCalendar (RFC 5545) export. UIDs are derived from session ids so
+// re-importing an export updates existing calendar events instead of
+// duplicating them. Calendar apps only take the update when SEQUENCE has gone
+// up, so each session's revision is counted: see updateCalendarRevisions.
+import { downloadFile } from './download';
+import { hashText } from './changeLog';
+
+const PRODUCT_ID = '-//Devcon Schedule//EN';
+const UID_DOMAIN = 'devcon-schedule';
+
+const encoder = new TextEncoder();
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const formatUtc = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold content lines at 75 octets without splitting multi-byte characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const isScheduled = (session) => Boolean(session.slot_start && session.slot_end);
+
+// Everything about an event that can change between revisions
+const eventContent = (session) => {
+  const speakers = (session.speakers || []).map(speaker => speaker.name).filter(Boolean);
+  const description = [
+    speakers.length > 0 ? `Speakers: ${speakers.join(', ')}` : null,
+    session.track ? `Track: ${session.track}` : null,
+    session.description || null
+  ].filter(Boolean).join('\n\n');
+
+  return [
+    `DTSTART:${formatUtc(session.slot_start)}`,
+    `DTEND:${formatUtc(session.slot_end)}`,
+    `SUMMARY:${escapeText(session.title)}`,
+    session.slot_room?.name ? `LOCATION:${escapeText(session.slot_room.name)}` : null,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    session.track ? `CATEGORIES:${escapeText(session.track)}` : null
+  ].filter(Boolean);
+};
+
+const buildEvent = (session, stamp, revision) => [
+  'BEGIN:VEVENT',
+  `UID:${escapeText(session.id)}@${UID_DOMAIN}`,
+  `DTSTAMP:${stamp}`,
+  `SEQUENCE:${revision?.sequence || 0}`,
+  revision?.modifiedAt ? `LAST-MODIFIED:${formatUtc(revision.modifiedAt)}` : null,
+  ...eventContent(session),
+  'END:VEVENT'
+].filter(Boolean);
+
+// Session id → { hash, sequence, modifiedAt } for the given sessions, on top
+// of the revisions from earlier exports. A session whose event content differs
+// from the last export gets the next sequence number; nothing ever lowers one.
+// Keep the result and pass it to buildCalendar, now and next time.
+export const updateCalendarRevisions = (sessions, revisions = {}, now = new Date()) => {
+  const next = { ...revisions };
+  sessions.filter(isScheduled).forEach(session => {
+    const hash = hashText(eventContent(session).join('\n'));
+    const previous = revisions[session.id];
+    if (previous?.hash === hash) return;
+    next[session.id] = {
+      hash,
+      sequence: Number.isInteger(previous?.sequence) ? previous.sequence + 1 : 0,
+      modifiedAt: now.toISOString()
+    };
+  });
+  return next;
+};
+
+export const buildCalendar = (sessions, { name = 'Devcon Schedule', now = new Date(), revisions = {} } = {}) => {
+  const stamp = formatUtc(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...sessions
+      .filter(isScheduled)
+      .flatMap(session => buildEvent(session, stamp, revisions[session.id])),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export const downloadCalendar = (sessions, { name, filename, revisions }) =>
+  downloadFile(buildCalendar(sessions, { name, revisions }), { filename, type: 'text/calendar;charset=utf-8' });
+
+// Subscription link for a live feed of the given sessions, served by
+// server/calendarFeed.js at VITE_CALENDAR_FEED_URL. Null when there is no feed.
+export const calendarFeedUrl = (sessionIds, { name, feedUrl = import.meta.env.VITE_CALENDAR_FEED_URL } = {}) => {
+  if (!feedUrl) return null;
+  const url = new URL(feedUrl, window.location.origin);
+  url.searchParams.set('ids', sessionIds.join(','));
+  if (name) url.searchParams.set('name', name);
+  return url.toString();
+};
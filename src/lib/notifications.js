@@ -0,0 +1,27 @@
+// Browser notifications, used when the app isn't in the foreground. Whether
+// the user wants them is kept in the user data store as `notificationsEnabled`.
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const notificationsGranted = () => notificationsSupported() && Notification.permission === 'granted';
+
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+// Prefer the service worker so notifications also work on mobile browsers
+export const showNotification = async (title, options = {}) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  } catch (error) {
+    console.error('Failed to show notification:', error);
+  }
+};
@@ -0,0 +1,48 @@
+// What's on now and what's on next, per room. Everything here is pure and
+// takes `now` explicitly, as a timestamp.
+
+export const isOngoing = (session, now) =>
+  new Date(session.slot_start).getTime() <= now && new Date(session.slot_end).getTime() >= now;
+
+const roomKey = (name) => (name || '').trim().toLowerCase();
+
+// Sessions per room name, each room's in start order
+const byRoom = (sessions) => {
+  const rooms = new Map();
+  sessions
+    .filter(session => session.slot_room?.name && session.slot_start && session.slot_end)
+    .sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start))
+    .forEach(session => {
+      const name = session.slot_room.name;
+      if (!rooms.has(name)) rooms.set(name, []);
+      rooms.get(name).push(session);
+    });
+  return rooms;
+};
+
+// One entry per room with its current and next session, either of which may
+// be null. With `room` (matched ignoring case) only that room is returned, even
+// when nothing is left in it; otherwise rooms with nothing left are dropped.
+export const roomsNowAndNext = (sessions, now, { room = null } = {}) => {
+  const rooms = byRoom(sessions);
+  const names = room
+    ? [Array.from(rooms.keys()).find(name => roomKey(name) === roomKey(room)) || room]
+    : Array.from(rooms.keys()).sort((a, b) => a.localeCompare(b));
+
+  return names
+    .map(name => {
+      const roomSessions = rooms.get(name) || [];
+      const current = roomSessions.find(session => isOngoing(session, now)) || null;
+      const next = roomSessions.find(session => session !== current && new Date(session.slot_start).getTime() > now) || null;
+      return { room: name, current, next };
+    })
+    .filter(entry => room || entry.current || entry.next);
+};
+
+// How far through a session `now` is, from 0 to 1
+export const sessionProgress = (session, now) => {
+  const start = new Date(session.slot_start).getTime();
+  const end = new Date(session.slot_end).getTime();
+  if (end <= start) return 1;
+  return Math.min(1, Math.max(0, (now - start) / (end - start)));
+};
@@ -0,0 +1,213 @@
+// Automatic itinerary planning. Sessions are scored against the user's
+// interests, and each day's plan is the highest-scoring set of sessions that
+// leaves the requested break between them and stays out of blocked-off times.
+// The result depends only on the arguments: ties go to the earlier session,
+// then to the lower id, whatever order the sessions come in.
+import { normalize } from './search';
+import { speakerKey } from './speakers';
+
+const MINUTE = 60 * 1000;
+
+export const DEFAULT_PLANNER_PREFERENCES = {
+  days: [],
+  tracks: [],
+  keywords: [],
+  // Speaker keys, as in the speaker index
+  speakers: [],
+  // Session ids to fit in whenever possible
+  mustSee: [],
+  breakMinutes: 10,
+  // { day, from, to }: HH:MM times of day in the display timezone; an empty day means every day
+  blocked: []
+};
+
+const SCORES = {
+  mustSee: 1000,
+  speaker: 5,
+  track: 3,
+  keywordInTitle: 3,
+  keyword: 1
+};
+
+// Comma-separated keywords as typed by the user
+export const parseKeywords = (text) =>
+  text.split(',').map(keyword => keyword.trim()).filter(Boolean);
+
+// Score one session and say why it scored. Keywords count once each, more
+// when found in the title than elsewhere.
+export const scoreSession = (session, preferences) => {
+  const reasons = [];
+  let score = 0;
+
+  if (preferences.mustSee.includes(session.id)) {
+    score += SCORES.mustSee;
+    reasons.push({ type: 'mustSee' });
+  }
+
+  (session.speakers || []).forEach(speaker => {
+    if (!preferences.speakers.includes(speakerKey(speaker))) return;
+    score += SCORES.speaker;
+    reasons.push({ type: 'speaker', value: speaker.name });
+  });
+
+  if (session.track && preferences.tracks.includes(session.track)) {
+    score += SCORES.track;
+    reasons.push({ type: 'track', value: session.track });
+  }
+
+  const title = normalize(session.title);
+  const rest = normalize([
+    session.description,
+    (session.speakers || []).map(speaker => speaker.name).join(' ')
+  ].join(' '));
+  preferences.keywords.forEach(keyword => {
+    const term = normalize(keyword);
+    if (title.includes(term)) score += SCORES.keywordInTitle;
+    else if (rest.includes(term)) score += SCORES.keyword;
+    else return;
+    reasons.push({ type: 'keyword', value: keyword });
+  });
+
+  return { score, reasons };
+};
+
+const toSlot = (session, timeFormat) => ({
+  id: session.id,
+  start: new Date(session.slot_start).getTime(),
+  end: new Date(session.slot_end).getTime(),
+  day: timeFormat.dayKey(session.slot_start),
+  startTime: timeFormat.timeOfDay(session.slot_start),
+  endTime: timeFormat.timeOfDay(session.slot_end)
+});
+
+// Every schedulable session as a slot, with its score and reasons
+const scoredSlots = (sessions, preferences, timeFormat) =>
+  sessions
+    .filter(session => session.slot_start && session.slot_end)
+    .map(session => ({ ...toSlot(session, timeFormat), ...scoreSession(session, preferences) }));
+
+const bySchedule = (a, b) => a.start - b.start || a.end - b.end || String(a.id).localeCompare(String(b.id));
+
+export const isBlocked = (slot, blocked) =>
+  blocked.some(range =>
+    (!range.day || range.day === slot.day) &&
+    slot.startTime < range.to &&
+    slot.endTime > range.from
+  );
+
+// Two sessions fit in one plan when the later starts a break after the earlier ends
+export const fitsWith = (slot, other, breakMinutes) =>
+  slot.end + breakMinutes * MINUTE <= other.start ||
+  other.end + breakMinutes * MINUTE <= slot.start;
+
+// Lower sorts first: the plan whose picks start earlier, then have lower ids
+const comparePicks = (a, b) => {
+  for (let index = 0; index < Math.min(a.length, b.length); index++) {
+    const order = bySchedule(a[index], b[index]);
+    if (order !== 0) return order;
+  }
+  return a.length - b.length;
+};
+
+// Weighted interval scheduling over one day's candidates, sorted by end time
+const planDay = (candidates, breakMinutes) => {
+  const sorted = [...candidates].sort((a, b) => a.end - b.end || bySchedule(a, b));
+  const best = [{ score: 0, picks: [] }];
+
+  sorted.forEach((slot, index) => {
+    let previous = index - 1;
+    while (previous >= 0 && sorted[previous].end + breakMinutes * MINUTE > slot.start) previous--;
+
+    const base = best[previous + 1];
+    const taking = { score: base.score + slot.score, picks: [...base.picks, slot] };
+    const skipping = best[index];
+    const takeIt = taking.score !== skipping.score
+      ? taking.score > skipping.score
+      : comparePicks(taking.picks, skipping.picks) < 0;
+    best.push(takeIt ? taking : skipping);
+  });
+
+  return best[sorted.length].picks;
+};
+
+// The proposed plan: session ids per day in start order, why each session was
+// picked, and any must-see sessions that could not be fitted in.
+// `timeFormat` decides which day a session falls on and its time of day.
+export const planItinerary = (sessions, preferences, { timeFormat }) => {
+  const slots = scoredSlots(sessions, preferences, timeFormat)
+    .filter(slot => preferences.days.length === 0 || preferences.days.includes(slot.day))
+    .sort(bySchedule);
+
+  const reasons = {};
+  const byDay = new Map();
+  slots.forEach(slot => {
+    if (slot.score <= 0) return;
+    reasons[slot.id] = slot.reasons;
+    if (!byDay.has(slot.day)) byDay.set(slot.day, []);
+    byDay.get(slot.day).push(slot);
+  });
+
+  const days = Array.from(byDay.keys()).sort().map(day => {
+    const candidates = byDay.get(day);
+    const open = candidates.filter(slot => !isBlocked(slot, preferences.blocked));
+    const picks = planDay(open, preferences.breakMinutes).sort(bySchedule);
+    const pickedIds = new Set(picks.map(slot => slot.id));
+
+    const skippedMustSee = candidates
+      .filter(slot => preferences.mustSee.includes(slot.id) && !pickedIds.has(slot.id))
+      .map(slot => ({ id: slot.id, reason: isBlocked(slot, preferences.blocked) ? 'blocked' : 'conflict' }));
+
+    return { day, sessionIds: picks.map(slot => slot.id), skippedMustSee };
+  });
+
+  return { days: days.filter(day => day.sessionIds.length > 0 || day.skippedMustSee.length > 0), reasons };
+};
+
+// Sessions that could take the place of each pick: on the same day, clashing
+// with it, clear of blocked times and fitting around the rest of the day's
+// plan. Best-scoring first, in a map from the picked session's id. Sessions
+// are scored once for the whole plan.
+export const planAlternatives = (sessions, plan, preferences, { timeFormat }) => {
+  const slots = scoredSlots(sessions, preferences, timeFormat);
+  const slotsById = new Map(slots.map(slot => [slot.id, slot]));
+  const alternatives = new Map();
+
+  plan.days.forEach(({ day, sessionIds }) => {
+    const daySlots = slots
+      .filter(slot => slot.day === day && !sessionIds.includes(slot.id) && !isBlocked(slot, preferences.blocked))
+      .sort((a, b) => b.score - a.score || bySchedule(a, b));
+
+    sessionIds.forEach(sessionId => {
+      const current = slotsById.get(sessionId);
+      if (!current) return;
+      const others = sessionIds.filter(id => id !== sessionId).map(id => slotsById.get(id)).filter(Boolean);
+      alternatives.set(sessionId, daySlots
+        .filter(slot =>
+          !fitsWith(slot, current, 0) &&
+          others.every(other => fitsWith(slot, other, preferences.breakMinutes))
+        )
+        .map(slot => slot.id));
+    });
+  });
+
+  return alternatives;
+};
+
+// Tweaks to a proposed plan. Both return a new plan.
+export const replacePick = (plan, { day, sessionId }, replacementId) => ({
+  ...plan,
+  days: plan.days.map(entry => entry.day !== day ? entry : {
+    ...entry,
+    sessionIds: entry.sessionIds.map(id => (id === sessionId ? replacementId : id))
+  })
+});
+
+export const removePick = (plan, { day, sessionId }) => ({
+  ...plan,
+  days: plan.days.map(entry => entry.day !== day ? entry : {
+    ...entry,
+    sessionIds: entry.sessionIds.filter(id => id !== sessionId)
+  })
+});
+
+export const plannedSessionIds = (plan) => plan.days.flatMap(entry => entry.sessionIds);
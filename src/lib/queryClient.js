@@ -0,0 +1,112 @@
+// Talks to the query engine, in a Web Worker where available so searching
+// never blocks typing, or in-process otherwise. Only the newest query is
+// worth answering: starting one cancels any still pending. A worker that fails
+// to load or crashes is replaced by the in-process engine, which answers
+// whatever was still waiting on it.
+import { createQueryEngine } from './queryEngine';
+
+const abortError = () => new DOMException('The query was cancelled', 'AbortError');
+
+const createLocalClient = () => {
+  const engine = createQueryEngine();
+  return {
+    sync: (sessions) => engine.sync(sessions),
+    setTimeSettings: (settings) => engine.setTimeSettings(settings),
+    setNotes: (notes) => engine.setNotes(notes),
+    query: async (params, { signal } = {}) => {
+      if (signal?.aborted) throw abortError();
+      return engine.query(params);
+    },
+    terminate: () => {}
+  };
+};
+
+const createWorkerClient = (worker) => {
+  const pending = new Map();
+  let nextId = 1;
+  // What the worker was told, to hand over to the fallback engine
+  const state = {};
+  let local = null;
+
+  const fallBack = (error) => {
+    if (local) return;
+    console.error('Query worker failed, searching on the main thread:', error);
+    worker.terminate();
+    local = createLocalClient();
+    if (state.sessions) local.sync(state.sessions);
+    if (state.settings) local.setTimeSettings(state.settings);
+    if (state.notes) local.setNotes(state.notes);
+
+    const waiting = Array.from(pending.values());
+    pending.clear();
+    waiting.forEach(({ params, signal, resolve, reject }) => local.query(params, { signal }).then(resolve, reject));
+  };
+
+  const cancel = (id) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    worker.postMessage({ type: 'cancel', id });
+    request.reject(abortError());
+  };
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    fallBack(event.error || new Error(event.message || 'The query worker could not run'));
+  };
+  worker.onmessageerror = () => fallBack(new Error('The query worker sent an unreadable message'));
+
+  return {
+    sync: (sessions) => {
+      state.sessions = sessions;
+      if (local) local.sync(sessions);
+      else worker.postMessage({ type: 'sync', sessions });
+    },
+    setTimeSettings: (settings) => {
+      state.settings = settings;
+      if (local) local.setTimeSettings(settings);
+      else worker.postMessage({ type: 'timeSettings', settings });
+    },
+    setNotes: (notes) => {
+      state.notes = notes;
+      if (local) local.setNotes(notes);
+      else worker.postMessage({ type: 'notes', notes });
+    },
+    query: (params, { signal } = {}) => local ? local.query(params, { signal }) : new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+      Array.from(pending.keys()).forEach(cancel);
+
+      const id = nextId++;
+      pending.set(id, { params, signal, resolve, reject });
+      signal?.addEventListener('abort', () => cancel(id), { once: true });
+      worker.postMessage({ type: 'query', id, params });
+    }),
+    terminate: () => {
+      Array.from(pending.keys()).forEach(cancel);
+      worker.terminate();
+    }
+  };
+};
+
+export const createQueryClient = () => {
+  if (typeof Worker === 'undefined') return createLocalClient();
+  try {
+    return createWorkerClient(
+      new Worker(new URL('../workers/queryWorker.js', import.meta.url), { type: 'module' })
+    );
+  } catch (error) {
+    console.error('Query worker unavailable, searching on the main thread:', error);
+    return createLocalClient();
+  }
+};
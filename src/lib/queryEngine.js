@@ -0,0 +1,147 @@
+// The search and filter engine behind the schedule list. Sessions are indexed
+// once: search tokens, start day and time of day in the display timezone, and
+// lookup tables by day, track and room. A refresh re-indexes only the sessions
+// that actually changed, and a note edit only the session it belongs to. Runs
+// in the query worker, or in-process as a fallback.
+import { buildSearchFields, searchSessions } from './search';
+import { DEFAULT_FILTERS } from './filters';
+import { DEFAULT_TIME_SETTINGS, createTimeFormat } from './datetime';
+
+const addTo = (index, key, id) => {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+};
+
+const removeFrom = (index, key, id) => {
+  const ids = index.get(key);
+  if (!ids) return;
+  ids.delete(id);
+  if (ids.size === 0) index.delete(key);
+};
+
+export const createQueryEngine = (settings = DEFAULT_TIME_SETTINGS) => {
+  let timeFormat = createTimeFormat(settings);
+  let order = [];
+  let notes = {};
+  const entries = new Map();
+  const byDay = new Map();
+  const byTrack = new Map();
+  const byRoom = new Map();
+
+  const placeInTime = (entry) => {
+    entry.dayKey = timeFormat.dayKey(entry.slot_start);
+    entry.timeOfDay = timeFormat.timeOfDay(entry.slot_start);
+    addTo(byDay, entry.dayKey, entry.id);
+  };
+
+  const add = (session, fingerprint) => {
+    const entry = {
+      ...session,
+      fingerprint,
+      searchFields: buildSearchFields(session, notes[session.id]),
+      startsAt: new Date(session.slot_start).getTime(),
+      hasSlides: Boolean(session.resources_slides || session.resources_presentation)
+    };
+    entries.set(entry.id, entry);
+    placeInTime(entry);
+    addTo(byTrack, entry.track, entry.id);
+    addTo(byRoom, entry.slot_room?.name, entry.id);
+  };
+
+  const remove = (id) => {
+    const entry = entries.get(id);
+    entries.delete(id);
+    removeFrom(byDay, entry.dayKey, id);
+    removeFrom(byTrack, entry.track, id);
+    removeFrom(byRoom, entry.slot_room?.name, id);
+  };
+
+  // Bring the indexes in line with the latest sessions
+  const sync = (sessions) => {
+    const stats = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+
+    sessions.forEach(session => {
+      const fingerprint = JSON.stringify(session);
+      const existing = entries.get(session.id);
+      seen.add(session.id);
+      if (existing?.fingerprint === fingerprint) return;
+      if (existing) remove(session.id);
+      add(session, fingerprint);
+      stats[existing ? 'updated' : 'added'] += 1;
+    });
+
+    Array.from(entries.keys()).forEach(id => {
+      if (seen.has(id)) return;
+      remove(id);
+      stats.removed += 1;
+    });
+
+    order = sessions.map(session => session.id);
+    return stats;
+  };
+
+  // Note text per session id; notes are searchable like any other field
+  const setNotes = (next) => {
+    const previous = notes;
+    notes = next;
+    entries.forEach(entry => {
+      if ((previous[entry.id] || '') === (next[entry.id] || '')) return;
+      entry.searchFields = buildSearchFields(entry, next[entry.id]);
+    });
+  };
+
+  // Days and times of day depend on the timezone, so a zone change re-places everything
+  const setTimeSettings = (next) => {
+    const nextFormat = createTimeFormat(next);
+    if (nextFormat.timeZone === timeFormat.timeZone) return;
+    timeFormat = nextFormat;
+    byDay.clear();
+    entries.forEach(placeInTime);
+  };
+
+  // Ids of the sessions in any of the given index keys, or null for "no restriction"
+  const lookup = (index, keys) => {
+    if (keys.length === 0) return null;
+    const ids = new Set();
+    keys.forEach(key => index.get(key)?.forEach(id => ids.add(id)));
+    return ids;
+  };
+
+  // Matching session ids, in schedule order or best match first when searching,
+  // plus the tokens to highlight for each match
+  const query = ({ searchTerm = '', filters = DEFAULT_FILTERS, bookmarkedIds = [], now = Date.now() }) => {
+    const restrictions = [
+      lookup(byDay, filters.days),
+      lookup(byTrack, filters.tracks),
+      lookup(byRoom, filters.rooms)
+    ].filter(Boolean);
+    const bookmarked = new Set(bookmarkedIds);
+    const horizon = filters.startingWithin ? now + Number(filters.startingWithin) * 60 * 1000 : null;
+
+    const matching = order
+      .filter(id => restrictions.every(ids => ids.has(id)))
+      .map(id => entries.get(id))
+      .filter(entry =>
+        (!filters.timeFrom || entry.timeOfDay >= filters.timeFrom) &&
+        (!filters.timeTo || entry.timeOfDay <= filters.timeTo) &&
+        (!filters.withSlides || entry.hasSlides) &&
+        (horizon === null || (entry.startsAt >= now && entry.startsAt <= horizon)) &&
+        (!filters.hideBookmarked || !bookmarked.has(entry.id))
+      );
+
+    if (!searchTerm.trim()) {
+      return { ids: matching.map(entry => entry.id), highlights: {} };
+    }
+
+    const highlights = {};
+    const ids = searchSessions(matching, searchTerm).map(result => {
+      highlights[result.session.id] = result.matches;
+      return result.session.id;
+    });
+    return { ids, highlights };
+  };
+
+  return { sync, setTimeSettings, setNotes, query };
+};
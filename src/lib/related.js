@@ -0,0 +1,148 @@
+// "Related sessions": sessions ranked by shared speakers, a shared track and
+// how alike their titles and descriptions read. Text similarity is the cosine
+// of TF-IDF vectors over the same tokens the search index uses, with title
+// words counting double. Everything is computed locally, once per schedule.
+import { buildSearchFields } from './search';
+import { speakerKey } from './speakers';
+
+const SCORES = {
+  speaker: 3,
+  track: 1,
+  text: 4
+};
+
+// Below this the wording is too far apart to mention as a reason
+const MIN_TOPIC_SIMILARITY = 0.1;
+const MIN_TOKEN_LENGTH = 2;
+// Words in more than this share of sessions say nothing about the topic
+const MAX_DOCUMENT_SHARE = 0.5;
+const TOPIC_TERMS = 3;
+
+const termCounts = (session) => {
+  const fields = buildSearchFields(session);
+  const counts = new Map();
+  [...fields.title.tokens, ...fields.title.tokens, ...fields.description.tokens]
+    .filter(token => token.length >= MIN_TOKEN_LENGTH && !/^\d+$/.test(token))
+    .forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+};
+
+const buildIndex = (sessions) => {
+  const counts = sessions.map(termCounts);
+
+  const documentFrequency = new Map();
+  counts.forEach(terms => terms.forEach((_, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  // Unit-length vectors; terms found in one session only can't link it to another
+  const entries = sessions.map((session, index) => {
+    const vector = new Map();
+    counts[index].forEach((count, term) => {
+      const frequency = documentFrequency.get(term);
+      if (frequency < 2 || frequency > sessions.length * MAX_DOCUMENT_SHARE) return;
+      vector.set(term, (1 + Math.log(count)) * Math.log(sessions.length / frequency));
+    });
+    const length = Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0));
+    vector.forEach((weight, term) => vector.set(term, weight / length));
+
+    return {
+      session,
+      vector,
+      speakers: new Map((session.speakers || []).map(speaker => [speakerKey(speaker), speaker.name]))
+    };
+  });
+
+  return { entries, byId: new Map(entries.map(entry => [entry.session.id, entry])) };
+};
+
+// One index per schedule snapshot, built on first use
+const indexes = new WeakMap();
+const indexFor = (sessions) => {
+  if (!indexes.has(sessions)) indexes.set(sessions, buildIndex(sessions));
+  return indexes.get(sessions);
+};
+
+// Cosine similarity and the terms that contributed most to it
+const textSimilarity = (a, b) => {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  const shared = [];
+  let similarity = 0;
+  smaller.forEach((weight, term) => {
+    if (!larger.has(term)) return;
+    const contribution = weight * larger.get(term);
+    similarity += contribution;
+    shared.push([term, contribution]);
+  });
+  shared.sort((x, y) => y[1] - x[1] || x[0].localeCompare(y[0]));
+  return { similarity, terms: shared.slice(0, TOPIC_TERMS).map(([term]) => term) };
+};
+
+const compare = (entry, other) => {
+  const reasons = [];
+  let score = 0;
+
+  other.speakers.forEach((name, key) => {
+    if (!entry.speakers.has(key)) return;
+    score += SCORES.speaker;
+    reasons.push({ type: 'speaker', value: name });
+  });
+
+  if (entry.session.track && entry.session.track === other.session.track) {
+    score += SCORES.track;
+    reasons.push({ type: 'track', value: other.session.track });
+  }
+
+  const { similarity, terms } = textSimilarity(entry.vector, other.vector);
+  score += similarity * SCORES.text;
+  if (similarity >= MIN_TOPIC_SIMILARITY) reasons.push({ type: 'topic', value: terms.join(', ') });
+
+  return { score, reasons };
+};
+
+const byRelevance = (a, b) =>
+  b.score - a.score ||
+  new Date(a.session.slot_start) - new Date(b.session.slot_start) ||
+  String(a.session.id).localeCompare(String(b.session.id));
+
+const ranked = (index, sessionId, exclude) => {
+  const entry = index.byId.get(sessionId);
+  if (!entry) return [];
+  return index.entries
+    .filter(other => other !== entry && !exclude(other.session))
+    .map(other => ({ session: other.session, ...compare(entry, other) }))
+    .filter(match => match.reasons.length > 0)
+    .sort(byRelevance);
+};
+
+// Sessions most like the given one, best first, each with why it matched
+export const relatedSessions = (sessions, sessionId, { limit = 5 } = {}) =>
+  ranked(indexFor(sessions), sessionId, () => false).slice(0, limit);
+
+// Suggestions for My Schedule, grouped under the bookmark each one is most
+// like. Sessions already bookmarked, or over by `now`, are left out.
+export const bookmarkSuggestions = (sessions, bookmarkedIds, { now = Date.now(), perBookmark = 3, limit = 5 } = {}) => {
+  const index = indexFor(sessions);
+  const bookmarked = new Set(bookmarkedIds);
+  const isExcluded = (session) => bookmarked.has(session.id) || new Date(session.slot_end).getTime() <= now;
+
+  // Each suggestion goes under the bookmark it matches best
+  const best = new Map();
+  bookmarkedIds.forEach(bookmarkId => {
+    ranked(index, bookmarkId, isExcluded).forEach(match => {
+      const current = best.get(match.session.id);
+      if (!current || match.score > current.score) best.set(match.session.id, { ...match, bookmarkId });
+    });
+  });
+
+  const groups = new Map();
+  Array.from(best.values()).sort(byRelevance).forEach(match => {
+    if (!groups.has(match.bookmarkId)) groups.set(match.bookmarkId, []);
+    const group = groups.get(match.bookmarkId);
+    if (group.length < perBookmark) group.push(match);
+  });
+
+  return Array.from(groups.entries())
+    .slice(0, limit)
+    .map(([bookmarkId, matches]) => ({ bookmark: index.byId.get(bookmarkId).session, matches }));
+};
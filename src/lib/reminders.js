@@ -0,0 +1,44 @@
+// "Starting soon" reminders for bookmarked sessions. Everything here is pure
+// and takes `now` explicitly; the hook in useReminders supplies the clock and
+// keeps the reminder state in the user data store.
+const MINUTE = 60 * 1000;
+
+export const SNOOZE_MINUTES = 5;
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: true,
+  leadMinutes: 10,
+  walkMinutes: 5
+};
+
+// Keyed by start time too, so a rescheduled session reminds again
+export const reminderKey = (session) => `${session.id}@${session.slot_start}`;
+
+const bookmarkedUpcoming = (sessions, bookmarkedIds, now) =>
+  sessions
+    .filter(session => bookmarkedIds.includes(session.id) && new Date(session.slot_start).getTime() > now)
+    .sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start));
+
+export const upcomingSessions = (sessions, bookmarkedIds, now, count = 2) =>
+  bookmarkedUpcoming(sessions, bookmarkedIds, now).slice(0, count);
+
+// Sessions whose reminder should fire now: inside the lead window, and not
+// already shown, dismissed or still snoozed
+export const dueReminders = (sessions, bookmarkedIds, { now, leadMinutes, reminderState }) =>
+  bookmarkedUpcoming(sessions, bookmarkedIds, now).filter(session => {
+    const start = new Date(session.slot_start).getTime();
+    if (start - leadMinutes * MINUTE > now) return false;
+
+    const state = reminderState[reminderKey(session)];
+    if (!state) return true;
+    return state.status === 'snoozed' && now >= state.until;
+  });
+
+// Drop state for sessions that have already started
+export const pruneReminderState = (reminderState, now) =>
+  Object.fromEntries(
+    Object.entries(reminderState).filter(([key]) => new Date(key.slice(key.lastIndexOf('@') + 1)).getTime() > now)
+  );
+
+// "Leave in" countdown: minutes until you need to head off to make the start
+export const minutesUntil = (time, now) => Math.ceil((new Date(time).getTime() - now) / MINUTE);
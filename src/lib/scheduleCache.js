@@ -0,0 +1,25 @@
+// Persisted snapshot of the last good sessions payload, so the app can boot
+// without the network and show when it last synced.
+const SNAPSHOT_KEY = 'devcon-schedule-snapshot';
+
+export const loadSnapshot = () => {
+  try {
+    const stored = localStorage.getItem(SNAPSHOT_KEY);
+    if (!stored) return null;
+    const snapshot = JSON.parse(stored);
+    if (!Array.isArray(snapshot?.items)) return null;
+    return snapshot;
+  } catch {
+    return null;
+  }
+};
+
+export const saveSnapshot = (items) => {
+  const snapshot = { items, syncedAt: new Date().toISOString() };
+  try {
+    localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshot));
+  } catch (error) {
+    console.error('Failed to save schedule snapshot:', error);
+  }
+  return snapshot;
+};
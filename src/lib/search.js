@@ -0,0 +1,236 @@
+// Session search: fielded queries (speaker:vitalik track:"Layer 2"),
+// OR / negation, prefix and typo-tolerant matching, ranked by where the
+// match was found.
+
+// Field weights: title and speaker hits outrank description hits
+const FIELDS = {
+  title: 10,
+  speakers: 8,
+  notes: 6,
+  track: 5,
+  room: 4,
+  description: 1
+};
+
+const FIELD_ALIASES = {
+  title: 'title',
+  speaker: 'speakers',
+  speakers: 'speakers',
+  by: 'speakers',
+  track: 'track',
+  room: 'room',
+  location: 'room',
+  desc: 'description',
+  description: 'description',
+  note: 'notes',
+  notes: 'notes'
+};
+
+// Match quality multipliers
+const EXACT = 1;
+const PREFIX = 0.8;
+const FUZZY = 0.5;
+const SUBSTRING = 0.4;
+
+export const normalize = (text) =>
+  (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+// [start, end) ranges of text where any of the terms occur, compared the way
+// search compares them (ignoring case and accents), so "senor" marks "Señor".
+// Longer terms win where several start at the same place.
+export const matchRanges = (text, terms) => {
+  // The folded text, with where each of its characters came from
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  for (let index = 0; index < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(index));
+    const foldedChar = normalize(char);
+    for (let i = 0; i < foldedChar.length; i++) {
+      starts.push(index);
+      ends.push(index + char.length);
+    }
+    folded += foldedChar;
+    index += char.length;
+  }
+
+  const needles = [...new Set(terms.map(normalize).filter(Boolean))].sort((a, b) => b.length - a.length);
+  const ranges = [];
+  for (let position = 0; position < folded.length;) {
+    const needle = needles.find(term => folded.startsWith(term, position));
+    if (!needle) {
+      position++;
+      continue;
+    }
+    ranges.push([starts[position], ends[position + needle.length - 1]]);
+    position += needle.length;
+  }
+  return ranges;
+};
+
+const tokenize = (text) => normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const buildField = (text) => {
+  const tokens = tokenize(text);
+  return { tokens, text: tokens.join(' ') };
+};
+
+// Pre-tokenized fields for one session, plus your own note on it;
+// searchSessions expects these as `searchFields`
+export const buildSearchFields = (session, note = '') => ({
+  title: buildField(session.title),
+  speakers: buildField((session.speakers || []).map(s => s.name).join(' ')),
+  track: buildField(session.track),
+  room: buildField(session.slot_room?.name),
+  description: buildField(session.description),
+  notes: buildField(note)
+});
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// Parse a query into OR-ed clauses of AND-ed terms
+export const parseQuery = (query) => {
+  const clauses = [[]];
+  const pattern = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let negateNext = false;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [raw, minus, fieldName, quoted, bare] = match;
+    if (!raw.trim()) continue;
+
+    if (bare === 'OR' && !minus && !fieldName) {
+      if (clauses[clauses.length - 1].length > 0) clauses.push([]);
+      continue;
+    }
+    if (bare === 'NOT' && !minus && !fieldName) {
+      negateNext = true;
+      continue;
+    }
+
+    const field = fieldName ? FIELD_ALIASES[fieldName.toLowerCase()] : null;
+    // An unknown prefix such as "zk:snark" is just text
+    const value = fieldName && !field ? `${fieldName}:${quoted ?? bare}` : (quoted ?? bare);
+    const words = tokenize(value);
+    if (words.length === 0) continue;
+
+    clauses[clauses.length - 1].push({
+      field,
+      words,
+      phrase: quoted !== undefined || words.length > 1,
+      negate: Boolean(minus) || negateNext
+    });
+    negateNext = false;
+  }
+
+  return clauses.filter(clause => clause.length > 0);
+};
+
+// Best quality with which a single word matches a field
+const matchWord = (word, field, matched) => {
+  let best = 0;
+  let bestToken = null;
+  const typos = allowedTypos(word);
+
+  field.tokens.forEach(token => {
+    let quality = 0;
+    if (token === word) quality = EXACT;
+    else if (word.length >= 2 && token.startsWith(word)) quality = PREFIX;
+    else if (typos > 0 && editDistance(token, word, typos) <= typos) quality = FUZZY;
+    else if (word.length >= 3 && token.includes(word)) quality = SUBSTRING;
+
+    if (quality > best) {
+      best = quality;
+      bestToken = token;
+    }
+  });
+
+  if (bestToken) matched.add(bestToken);
+  return best;
+};
+
+const matchTermInField = (term, field, matched) => {
+  if (term.phrase) {
+    const phrase = term.words.join(' ');
+    if (!field.text.includes(phrase)) return 0;
+    term.words.forEach(word => matched.add(word));
+    return EXACT;
+  }
+  return matchWord(term.words[0], field, matched);
+};
+
+// Score of a term against a session, taking the best matching field
+const scoreTerm = (term, searchFields, matched) => {
+  const fieldNames = term.field ? [term.field] : Object.keys(FIELDS);
+  let best = 0;
+
+  fieldNames.forEach(name => {
+    const quality = matchTermInField(term, searchFields[name], matched);
+    best = Math.max(best, quality * FIELDS[name]);
+  });
+
+  return best;
+};
+
+const scoreClause = (clause, searchFields, matched) => {
+  let total = 0;
+  const clauseMatches = new Set();
+
+  for (const term of clause) {
+    const score = scoreTerm(term, searchFields, term.negate ? new Set() : clauseMatches);
+    if (term.negate ? score > 0 : score === 0) return 0;
+    total += score;
+  }
+
+  // Only clauses that contain nothing but negations still need a score
+  if (total === 0) total = 1;
+  clauseMatches.forEach(token => matched.add(token));
+  return total;
+};
+
+// Search indexed sessions, returning matches best first with the tokens to highlight
+export const searchSessions = (indexedSessions, query) => {
+  const clauses = parseQuery(query);
+  if (clauses.length === 0) {
+    return indexedSessions.map(session => ({ session, score: 0, matches: [] }));
+  }
+
+  const results = [];
+  indexedSessions.forEach(session => {
+    const matched = new Set();
+    let score = 0;
+    clauses.forEach(clause => {
+      score = Math.max(score, scoreClause(clause, session.searchFields, matched));
+    });
+    if (score > 0) results.push({ session, score, matches: Array.from(matched) });
+  });
+
+  return results.sort((a, b) =>
+    b.score - a.score || new Date(a.session.slot_start) - new Date(b.session.slot_start)
+  );
+};
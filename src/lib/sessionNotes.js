@@ -0,0 +1,88 @@
+// Private per-session notes: free text, whether you attended or skipped the
+// session, and a 1–5 rating. Stored with the user data keyed by session id and
+// exportable as Markdown for writing up trip reports.
+
+export const SESSION_STATUSES = ['attended', 'skipped'];
+export const MAX_RATING = 5;
+
+const isEmpty = (entry) => !entry.note?.trim() && !entry.status && !entry.rating;
+
+// Apply changes to one session's entry, dropping the entry once it's empty
+export const updateSessionNote = (notes, sessionId, changes, now = new Date()) => {
+  const entry = { note: '', status: null, rating: null, ...notes[sessionId], ...changes };
+  const { [sessionId]: _previous, ...rest } = notes;
+  if (isEmpty(entry)) return rest;
+  return { ...rest, [sessionId]: { ...entry, updatedAt: now.toISOString() } };
+};
+
+// Note text per session id, which is all the search index needs
+export const noteTexts = (notes) =>
+  Object.fromEntries(
+    Object.entries(notes)
+      .filter(([, entry]) => entry.note?.trim())
+      .map(([id, entry]) => [id, entry.note])
+  );
+
+export const annotatedSessions = (sessions, notes) =>
+  sessions
+    .filter(session => notes[session.id])
+    .sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start));
+
+// Backslash-escape Markdown syntax in text from the schedule or the user, so a
+// title like "[Panel] #1" or a note with *stars* comes out as written
+const escapeMarkdown = (text) =>
+  String(text)
+    .replace(/[\\`*_#[\]<>|~]/g, '\\$&')
+    .replace(/^(\s*)([-+])(?=\s)/gm, '$1\\$2')
+    .replace(/^(\s*\d+)\.(?=\s)/gm, '$1\\.');
+
+const stars = (rating) => '★'.repeat(rating) + '☆'.repeat(MAX_RATING - rating);
+
+const sessionSection = (session, entry, { t, timeFormat }) => {
+  const details = [
+    timeFormat.timeRange(new Date(session.slot_start), new Date(session.slot_end)),
+    session.slot_room?.name && escapeMarkdown(session.slot_room.name),
+    session.track && escapeMarkdown(session.track)
+  ].filter(Boolean);
+  const speakers = (session.speakers || []).map(speaker => speaker.name).filter(Boolean).map(escapeMarkdown);
+  const verdict = [
+    entry.status ? t('notes.statusLine', { status: t(`notes.${entry.status}`) }) : null,
+    entry.rating ? t('notes.ratingLine', { stars: stars(entry.rating), count: entry.rating }) : null
+  ].filter(Boolean);
+
+  const facts = [
+    details.join(' · '),
+    speakers.length > 0 ? t('notes.speakersLine', { names: speakers.join(', ') }) : null,
+    verdict.length > 0 ? verdict.join(' · ') : null
+  ].filter(Boolean);
+
+  return [
+    `### ${escapeMarkdown(session.title)}`,
+    '',
+    ...facts.map(fact => `- ${fact}`),
+    entry.note?.trim() ? `\n${escapeMarkdown(entry.note.trim())}` : null,
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+// One section per annotated session, grouped under day headings
+export const buildNotesMarkdown = (sessions, notes, { t, timeFormat, now = new Date() }) => {
+  const lines = [
+    `# ${t('notes.exportTitle')}`,
+    '',
+    `_${t('notes.exportedAt', { time: timeFormat.timestamp(now) })}_`,
+    ''
+  ];
+
+  let currentDay = null;
+  annotatedSessions(sessions, notes).forEach(session => {
+    const day = timeFormat.dayKey(session.slot_start);
+    if (day !== currentDay) {
+      currentDay = day;
+      lines.push(`## ${timeFormat.dayLabel(day)}`, '');
+    }
+    lines.push(sessionSection(session, notes[session.id], { t, timeFormat }));
+  });
+
+  return lines.join('\n');
+};
@@ -0,0 +1,32 @@
+// Speaker directory derived from the speakers embedded in each session.
+
+export const speakerKey = (speaker) => String(speaker.id ?? speaker.name);
+
+// One entry per speaker with all their sessions in start order, sorted A–Z
+export const buildSpeakerIndex = (sessions) => {
+  const byKey = new Map();
+
+  sessions.forEach(session => {
+    (session.speakers || []).forEach(speaker => {
+      if (!speaker?.name) return;
+      const key = speakerKey(speaker);
+      if (!byKey.has(key)) {
+        byKey.set(key, { ...speaker, key, sessions: [] });
+      }
+      byKey.get(key).sessions.push(session);
+    });
+  });
+
+  const speakers = Array.from(byKey.values());
+  speakers.forEach(speaker => {
+    speaker.sessions.sort((a, b) => new Date(a.slot_start) - new Date(b.slot_start));
+  });
+
+  return speakers.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+};
+
+// Directory letter for a name; anything that isn't A–Z is grouped under #
+export const initialOf = (name) => {
+  const letter = name.trim().charAt(0).normalize('NFKD').charAt(0).toUpperCase();
+  return /[A-Z]/.test(letter) ? letter : '#';
+};
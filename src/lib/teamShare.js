@@ -0,0 +1,64 @@
+// Backend-free sharing of bookmark lists. A schedule travels as a compact
+// base64url payload in a link; imported lists are kept locally as teammates.
+export const SHARE_PARAM = 'share';
+// More than anyone bookmarks; links beyond it are cut short rather than trusted
+const MAX_SHARED_IDS = 500;
+
+const isSessionId = (id) => typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+export const encodeShare = ({ name, sessionIds }) =>
+  toBase64Url(JSON.stringify({ n: name, s: sessionIds }));
+
+// Links come from anywhere, so only well-formed ids are kept. `fallbackName`
+// names a list shared without a name.
+export const decodeShare = (value, { fallbackName }) => {
+  try {
+    const { n, s } = JSON.parse(fromBase64Url(value));
+    if (!Array.isArray(s)) return null;
+    return {
+      name: typeof n === 'string' && n.trim() ? n.trim() : fallbackName,
+      sessionIds: s.filter(isSessionId).slice(0, MAX_SHARED_IDS)
+    };
+  } catch {
+    return null;
+  }
+};
+
+export const buildShareLink = (share) =>
+  `${window.location.origin}${window.location.pathname}?${SHARE_PARAM}=${encodeShare(share)}`;
+
+// Accepts a full share link or just the payload
+export const parseShareInput = (input, options) => {
+  const trimmed = input.trim();
+  if (!trimmed) return null;
+  try {
+    const payload = new URL(trimmed).searchParams.get(SHARE_PARAM);
+    return payload ? decodeShare(payload, options) : null;
+  } catch {
+    return decodeShare(trimmed, options);
+  }
+};
+
+export const readShareFromUrl = (options) => {
+  const payload = new URLSearchParams(window.location.search).get(SHARE_PARAM);
+  return payload ? decodeShare(payload, options) : null;
+};
+
+// Re-importing a teammate's link replaces their previous list
+export const upsertTeammate = (team, share) => [
+  ...team.filter(member => member.name !== share.name),
+  { ...share, importedAt: new Date().toISOString() }
+].sort((a, b) => a.name.localeCompare(b.name));
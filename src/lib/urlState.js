@@ -0,0 +1,100 @@
+// Mapping between the app's filter/view state and the query string, so any
+// view can be linked to and the back button walks through filter changes.
+import { DEFAULT_FILTERS } from './filters';
+
+const DEFAULT_STATE = {
+  searchTerm: '',
+  filters: DEFAULT_FILTERS,
+  view: 'schedule',
+  sessionId: null,
+  speakerId: null
+};
+
+const PARAMS = {
+  searchTerm: 'q',
+  view: 'view',
+  sessionId: 'session',
+  speakerId: 'speaker'
+};
+
+// Multi-select filters repeat their parameter (?track=A&track=B)
+const LIST_FILTER_PARAMS = {
+  days: 'day',
+  tracks: 'track',
+  rooms: 'room'
+};
+
+const VALUE_FILTER_PARAMS = {
+  timeFrom: 'from',
+  timeTo: 'to',
+  startingWithin: 'within'
+};
+
+const FLAG_FILTER_PARAMS = {
+  withSlides: 'slides',
+  hideBookmarked: 'hideBookmarked'
+};
+
+const VIEWS = ['schedule', 'grid', 'bookmarks', 'speakers'];
+
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULT_STATE, filters: { ...DEFAULT_FILTERS } };
+
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    const value = params.get(param);
+    if (value) state[key] = value;
+  });
+  if (!VIEWS.includes(state.view)) state.view = DEFAULT_STATE.view;
+
+  Object.entries(LIST_FILTER_PARAMS).forEach(([key, param]) => {
+    state.filters[key] = params.getAll(param).filter(Boolean);
+  });
+  Object.entries(VALUE_FILTER_PARAMS).forEach(([key, param]) => {
+    state.filters[key] = params.get(param) || '';
+  });
+  Object.entries(FLAG_FILTER_PARAMS).forEach(([key, param]) => {
+    state.filters[key] = params.get(param) === '1';
+  });
+
+  return state;
+};
+
+// Only non-default values are written, keeping links short
+export const buildUrlSearch = (state) => {
+  const params = new URLSearchParams();
+  const filters = state.filters || DEFAULT_FILTERS;
+
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    const value = state[key];
+    if (value && value !== DEFAULT_STATE[key]) params.set(param, value);
+  });
+  Object.entries(LIST_FILTER_PARAMS).forEach(([key, param]) => {
+    filters[key].forEach(value => params.append(param, value));
+  });
+  Object.entries(VALUE_FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key]) params.set(param, filters[key]);
+  });
+  Object.entries(FLAG_FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key]) params.set(param, '1');
+  });
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+// Whether two states differ in anything other than the search text, which is
+// updated in place rather than adding a history entry per keystroke
+export const differsBeyondSearch = (a, b) =>
+  buildUrlSearch({ ...a, searchTerm: '' }) !== buildUrlSearch({ ...b, searchTerm: '' });
+
+export const sessionPermalink = (sessionId) =>
+  `${window.location.origin}${window.location.pathname}${buildUrlSearch({ sessionId })}`;
+
+// Room screens: ?kiosk=<room name> shows one room, ?kiosk or ?kiosk=all every room
+export const parseKioskMode = (search) => {
+  const params = new URLSearchParams(search);
+  if (!params.has('kiosk')) return null;
+  const room = params.get('kiosk').trim();
+  return { room: room && room !== 'all' ? room : null };
+};
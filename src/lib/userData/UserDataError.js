@@ -0,0 +1,11 @@
+// Raised when saved user data or a backup file can't be used. `code` tells
+// callers what went wrong: 'corrupted', 'invalid-backup' or 'newer-version'.
+export default class UserDataError extends Error {
+  constructor(message, { code, raw, cause } = {}) {
+    super(message);
+    this.name = 'UserDataError';
+    this.code = code;
+    this.raw = raw;
+    this.cause = cause;
+  }
+}
@@ -0,0 +1,106 @@
+// Where the user data document is kept. Every backend reads and writes the
+// whole document; `update` reads, changes and writes it back in one step so
+// two tabs saving at once don't lose each other's fields.
+import UserDataError from './UserDataError';
+import { isPlainObject } from './schema';
+
+const DB_NAME = 'devcon-schedule';
+const STORE_NAME = 'user-data';
+const RECORD_KEY = 'document';
+const STORAGE_KEY = 'devcon-user-data';
+
+const isDocument = (value) => isPlainObject(value) && Number.isInteger(value.version) && isPlainObject(value.data);
+
+const checkDocument = (value, raw) => {
+  if (value === null || value === undefined) return null;
+  if (!isDocument(value)) {
+    throw new UserDataError('Saved user data is not in the expected shape', { code: 'corrupted', raw });
+  }
+  return value;
+};
+
+export const createIndexedDbBackend = async () => {
+  if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+  });
+  // Let another tab upgrade the database instead of blocking it
+  db.onversionchange = () => db.close();
+
+  // Runs `change` on the stored document inside a single transaction
+  const transact = (mode, change) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const store = transaction.objectStore(STORE_NAME);
+    let result = null;
+    let failure = null;
+
+    const request = store.get(RECORD_KEY);
+    request.onsuccess = () => {
+      try {
+        const current = checkDocument(request.result, JSON.stringify(request.result));
+        result = change ? change(current) : current;
+        if (change) store.put(result, RECORD_KEY);
+      } catch (error) {
+        failure = error;
+        transaction.abort();
+      }
+    };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onabort = () => reject(failure || transaction.error || new Error('User data transaction aborted'));
+  });
+
+  return {
+    name: 'IndexedDB',
+    read: () => transact('readonly'),
+    update: (change) => transact('readwrite', change),
+    write: (next) => transact('readwrite', () => next),
+    close: () => db.close()
+  };
+};
+
+export const createLocalStorageBackend = async () => {
+  // Throws where storage is disabled, so the memory backend takes over
+  localStorage.setItem(`${STORAGE_KEY}-probe`, '1');
+  localStorage.removeItem(`${STORAGE_KEY}-probe`);
+
+  const read = () => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored === null) return null;
+    try {
+      return checkDocument(JSON.parse(stored), stored);
+    } catch (error) {
+      if (error instanceof UserDataError) throw error;
+      throw new UserDataError('Saved user data is not valid JSON', { code: 'corrupted', raw: stored, cause: error });
+    }
+  };
+
+  const write = (next) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    return next;
+  };
+
+  return {
+    name: 'localStorage',
+    read: async () => read(),
+    update: async (change) => write(change(read())),
+    write: async (next) => write(next),
+    close: () => {}
+  };
+};
+
+// Last resort: keeps data for this page load only, starting from `initial`
+export const createMemoryBackend = async (initial = null) => {
+  let stored = initial;
+  return {
+    name: 'memory',
+    read: async () => stored,
+    update: async (change) => (stored = change(stored)),
+    write: async (next) => (stored = next),
+    close: () => {}
+  };
+};
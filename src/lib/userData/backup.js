@@ -0,0 +1,30 @@
+// JSON backups of the user data, for moving between devices. Backups carry
+// their data version, so one made by an older release is migrated on restore.
+import UserDataError from './UserDataError';
+import { USER_DATA_VERSION, isPlainObject, sanitizeData } from './schema';
+import { migrate } from './migrations';
+
+const BACKUP_FORMAT = 'devcon-schedule-backup';
+
+export const buildBackup = (data, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: USER_DATA_VERSION,
+  exportedAt: now.toISOString(),
+  data
+});
+
+// The restorable data in a backup file's text, plus any fields that had to be dropped
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new UserDataError('The backup file is not valid JSON', { code: 'invalid-backup', cause: error });
+  }
+
+  if (backup?.format !== BACKUP_FORMAT || !Number.isInteger(backup.version) || !isPlainObject(backup.data)) {
+    throw new UserDataError('The file is not a schedule backup', { code: 'invalid-backup' });
+  }
+
+  return sanitizeData(migrate({ version: backup.version, data: backup.data }).data);
+};
@@ -0,0 +1,194 @@
+// Versioned storage for everything the user creates: bookmarks, notes,
+// presets, team lists, preferences, and the schedule changes and reminders
+// they have already been shown. Data lives in IndexedDB, falling back
+// to localStorage and then to memory. Reads come from an in-memory copy, so
+// they are synchronous; writes are queued and saved in order. Other tabs hear
+// about each save through a `storage` event and reload what changed.
+import UserDataError from './UserDataError';
+import { USER_DATA_VERSION, FIELDS, sanitizeData } from './schema';
+import { readLegacyData, migrate } from './migrations';
+import { createIndexedDbBackend, createLocalStorageBackend, createMemoryBackend } from './backends';
+import { buildBackup, parseBackup } from './backup';
+
+export { UserDataError, FIELDS as USER_DATA_FIELDS };
+
+const BACKENDS = [createIndexedDbBackend, createLocalStorageBackend, createMemoryBackend];
+const SIGNAL_KEY = 'devcon-user-data-signal';
+const CORRUPTED_KEY = 'devcon-user-data-corrupted';
+const MAX_SET_ASIDE = 5;
+
+const tabId = Math.random().toString(36).slice(2);
+
+// Unusable data is set aside rather than overwritten, so it can still be
+// recovered by hand. The most recent few copies are kept.
+const setAside = (value) => {
+  try {
+    let kept = [];
+    try {
+      kept = JSON.parse(localStorage.getItem(CORRUPTED_KEY)) || [];
+    } catch {
+      // Replaced below
+    }
+    const entries = [...(Array.isArray(kept) ? kept : []), { savedAt: new Date().toISOString(), value }];
+    localStorage.setItem(CORRUPTED_KEY, JSON.stringify(entries.slice(-MAX_SET_ASIDE)));
+  } catch (error) {
+    console.error('Failed to keep a copy of corrupted user data:', error);
+  }
+};
+
+// The stored document brought up to the current version, plus anything that
+// went wrong along the way
+const loadDocument = async (backend) => {
+  const issues = [];
+  let stored;
+  try {
+    stored = await backend.read();
+  } catch (error) {
+    if (error.code !== 'corrupted') throw error;
+    console.error('Saved user data is corrupted, starting again from older copies:', error);
+    setAside(error.raw);
+    issues.push({ code: 'corrupted' });
+    stored = null;
+  }
+
+  // migrate() refuses documents from a newer version of the app
+  let current = stored;
+  if (!stored || stored.version !== USER_DATA_VERSION) {
+    const legacy = readLegacyData();
+    current = migrate(stored || legacy, { legacyData: legacy.data });
+    await backend.write({ ...current, updatedAt: new Date().toISOString() });
+  }
+
+  const { data, rejected } = sanitizeData(current.data);
+  if (rejected.length > 0) {
+    console.error('Some saved user data was unusable and has been reset:', rejected);
+    setAside(Object.fromEntries(rejected.map(field => [field, current.data[field]])));
+    await backend.write({ ...current, updatedAt: new Date().toISOString(), data: { ...current.data, ...data } });
+    issues.push({ code: 'invalid-fields', fields: rejected });
+  }
+  return { data, issues };
+};
+
+const createStore = async (backend) => {
+  const loaded = await loadDocument(backend);
+  let data = loaded.data;
+  const listeners = new Set();
+  let writes = Promise.resolve();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const signalOtherTabs = (fields) => {
+    try {
+      localStorage.setItem(SIGNAL_KEY, JSON.stringify({ tab: tabId, fields, at: Date.now() }));
+    } catch {
+      // Other tabs pick the change up on their next load instead
+    }
+  };
+
+  // Only the given fields are written, on top of whatever is stored now
+  const persist = (fields) => {
+    const values = Object.fromEntries(fields.map(field => [field, data[field]]));
+    writes = writes
+      .then(() => backend.update(current => ({
+        version: USER_DATA_VERSION,
+        ...current,
+        updatedAt: new Date().toISOString(),
+        data: { ...current?.data, ...values }
+      })))
+      .then(() => signalOtherTabs(fields))
+      .catch(error => console.error('Failed to save user data:', error));
+  };
+
+  const apply = (next) => {
+    const changed = Object.keys(FIELDS).filter(field => !Object.is(next[field], data[field]));
+    data = { ...data, ...next };
+    if (changed.length > 0) notify();
+    return changed;
+  };
+
+  // Queued behind our own pending writes, so a reload never drops them
+  const reload = () => {
+    writes = writes
+      .then(() => backend.read())
+      .then(current => {
+        if (current) apply(sanitizeData(current.data).data);
+      })
+      .catch(error => console.error('Failed to reload user data:', error));
+  };
+
+  const handleStorage = (event) => {
+    if (event.key !== SIGNAL_KEY && event.key !== null) return;
+    reload();
+  };
+  window.addEventListener('storage', handleStorage);
+
+  const set = (field, value) => {
+    if (!FIELDS[field]) throw new Error(`Unknown user data field "${field}"`);
+    if (apply({ [field]: value }).length > 0) persist([field]);
+  };
+
+  const replaceAll = (next) => {
+    const changed = apply(next);
+    if (changed.length > 0) persist(changed);
+  };
+
+  return {
+    backend: backend.name,
+    issues: loaded.issues,
+    get: (field) => data[field],
+    getAll: () => data,
+    set,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    exportBackup: () => buildBackup(data),
+    // Replaces the user data with a backup's, except fields the backup had
+    // no usable value for. Returns the data it replaced, for undo.
+    restoreBackup: (text) => {
+      const previous = data;
+      const { data: restored, rejected } = parseBackup(text);
+      replaceAll(Object.fromEntries(Object.entries(restored).filter(([field]) => !rejected.includes(field))));
+      return { previous, rejected };
+    },
+    replaceAll,
+    // Resolves once everything set so far has been saved
+    flush: () => writes,
+    close: () => {
+      window.removeEventListener('storage', handleStorage);
+      listeners.clear();
+      writes.then(() => backend.close());
+    }
+  };
+};
+
+// A store that saves nothing, for when the saved data can't be used or
+// written. `document` is what it starts from; without one it starts from the
+// pre-store localStorage keys, as a first run would.
+export const openTemporaryStore = async (document = null, issue = { code: 'not-persisted' }) => {
+  const store = await createStore(await createMemoryBackend(document));
+  return { ...store, issues: [...store.issues, issue] };
+};
+
+export const openUserDataStore = async () => {
+  for (const createBackend of BACKENDS) {
+    let backend = null;
+    try {
+      backend = await createBackend();
+      const store = await createStore(backend);
+      if (backend.name !== 'memory') return store;
+      return { ...store, issues: [...store.issues, { code: 'not-persisted' }] };
+    } catch (error) {
+      backend?.close();
+      // Data saved by a newer version of the app is left alone rather than
+      // replaced by an older copy from the next backend. It is shown as far
+      // as this version understands it, and nothing is saved over it.
+      if (error.code === 'newer-version') {
+        console.error('Saved user data is from a newer version of the app:', error);
+        return openTemporaryStore({ ...error.raw, version: USER_DATA_VERSION }, { code: 'newer-version' });
+      }
+      console.error(`User data storage unavailable${backend ? ` in ${backend.name}` : ''}:`, error);
+    }
+  }
+  throw new UserDataError('No storage available for user data');
+};
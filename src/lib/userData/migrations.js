@@ -0,0 +1,86 @@
+// Upgrades for saved user data. MIGRATIONS[n] turns the data of a version
+// n - 1 document into version n. Version 0 is the layout from before the
+// store existed: one localStorage key per feature. Version 2 brought in the
+// change log, reminder state and notification preference, which had kept
+// their own keys until then; they are picked up from this device's legacy
+// keys, and a backup from before version 2 simply has none. Legacy keys are
+// left in place after migrating, as a last copy to fall back on.
+import UserDataError from './UserDataError';
+import { USER_DATA_VERSION } from './schema';
+
+// Field name → legacy key, by the version that moved it into the store;
+// `text` keys held a plain string rather than JSON
+const LEGACY_KEYS = {
+  1: {
+    bookmarks: { key: 'devcon-bookmarked-sessions' },
+    attending: { key: 'devcon-attending-sessions' },
+    notes: { key: 'devcon-session-notes' },
+    followedSpeakers: { key: 'devcon-followed-speakers' },
+    filterPresets: { key: 'devcon-filter-presets' },
+    team: { key: 'devcon-team-schedules' },
+    shareName: { key: 'devcon-share-name', text: true },
+    reminderSettings: { key: 'devcon-reminder-settings' },
+    timeSettings: { key: 'devcon-time-settings' },
+    locale: { key: 'devcon-locale', text: true }
+  },
+  2: {
+    changeLog: { key: 'devcon-schedule-changelog' },
+    reminderState: { key: 'devcon-reminder-state' },
+    notificationsEnabled: { key: 'devcon-notifications-enabled' }
+  }
+};
+
+// Unparseable values are kept as their raw text so validation reports them
+// instead of them silently turning into defaults
+const readLegacyValue = ({ key, text }) => {
+  const stored = localStorage.getItem(key);
+  if (stored === null || text) return stored ?? undefined;
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return stored;
+  }
+};
+
+export const readLegacyData = () => {
+  const data = {};
+  Object.values(LEGACY_KEYS).flatMap(Object.values).forEach(legacy => {
+    try {
+      const value = readLegacyValue(legacy);
+      if (value !== undefined) data[legacy.key] = value;
+    } catch (error) {
+      console.error(`Failed to read ${legacy.key}:`, error);
+    }
+  });
+  return { version: 0, data };
+};
+
+// The fields found among legacy keys read by readLegacyData
+const fromLegacy = (keys, legacyData) => Object.fromEntries(
+  Object.entries(keys)
+    .filter(([, { key }]) => legacyData[key] !== undefined)
+    .map(([field, { key }]) => [field, legacyData[key]])
+);
+
+const MIGRATIONS = {
+  1: (data) => fromLegacy(LEGACY_KEYS[1], data),
+  2: (data, legacyData) => ({ ...fromLegacy(LEGACY_KEYS[2], legacyData), ...data })
+};
+
+// `legacyData` is this device's legacy keys, for migrations that pick up
+// features which kept their own keys for longer
+export const migrate = (document, { legacyData = {} } = {}) => {
+  if (document.version > USER_DATA_VERSION) {
+    throw new UserDataError(`Data version ${document.version} is newer than this app supports`, {
+      code: 'newer-version',
+      raw: document
+    });
+  }
+
+  let { version, data } = document;
+  while (version < USER_DATA_VERSION) {
+    version += 1;
+    data = MIGRATIONS[version](data, legacyData);
+  }
+  return { ...document, version, data };
+};
@@ -0,0 +1,67 @@
+// The user data document: everything that belongs to the person rather than
+// to the device or the schedule, including what they have already been told
+// about (schedule changes, reminders). Fields are checked one by one, so a single
+// bad value falls back to its default without taking the rest with it.
+import { DEFAULT_TIME_SETTINGS } from '../datetime';
+import { DEFAULT_REMINDER_SETTINGS } from '../reminders';
+import { isSupportedLocale } from '../i18n';
+import { DEFAULT_PLANNER_PREFERENCES } from '../planner';
+
+export const USER_DATA_VERSION = 2;
+
+export const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isIdList = (value) =>
+  Array.isArray(value) && value.every(id => typeof id === 'string' || typeof id === 'number');
+
+const checked = (fallback, isValid) => ({
+  fallback,
+  normalize: (value) => (isValid(value) ? value : undefined)
+});
+
+// Settings objects gain any keys added to their defaults since they were saved
+const settings = (defaults) => ({
+  fallback: defaults,
+  normalize: (value) => (isPlainObject(value) ? { ...defaults, ...value } : undefined)
+});
+
+export const FIELDS = {
+  bookmarks: checked([], isIdList),
+  attending: checked([], isIdList),
+  notes: checked({}, isPlainObject),
+  // Followed speaker → session ids already auto-bookmarked for them, so
+  // un-bookmarking one of their talks isn't undone on the next refresh
+  followedSpeakers: checked({}, isPlainObject),
+  filterPresets: checked([], Array.isArray),
+  team: checked([], Array.isArray),
+  shareName: checked('', value => typeof value === 'string'),
+  reminderSettings: settings(DEFAULT_REMINDER_SETTINGS),
+  timeSettings: settings(DEFAULT_TIME_SETTINGS),
+  plannerPreferences: settings(DEFAULT_PLANNER_PREFERENCES),
+  // null follows the browser's language
+  locale: checked(null, value => value === null || isSupportedLocale(value)),
+  // Schedule changes seen on sync, newest first
+  changeLog: checked([], Array.isArray),
+  // Reminder key → shown, dismissed or snoozed
+  reminderState: checked({}, isPlainObject),
+  // Only acted on while the browser also grants permission
+  notificationsEnabled: checked(false, value => typeof value === 'boolean'),
+  // Session id → revision last put in a calendar export (see lib/ics)
+  calendarRevisions: checked({}, isPlainObject)
+};
+
+// Every known field, falling back to defaults, plus the names of fields whose
+// saved value was unusable
+export const sanitizeData = (data) => {
+  const clean = {};
+  const rejected = [];
+
+  Object.entries(FIELDS).forEach(([name, field]) => {
+    const stored = isPlainObject(data) ? data[name] : undefined;
+    const value = stored === undefined ? field.fallback : field.normalize(stored);
+    if (value === undefined) rejected.push(name);
+    clean[name] = value === undefined ? field.fallback : value;
+  });
+
+  return { data: clean, rejected };
+};
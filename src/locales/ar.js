@@ -0,0 +1,359 @@
+export default {
+  'app.title': 'جدول Devcon',
+  'app.offline': 'غير متصل',
+  'app.lastSynced': 'آخر مزامنة {time}',
+
+  'common.save': 'حفظ',
+  'common.cancel': 'إلغاء',
+  'common.done': 'تم',
+  'common.okay': 'حسنًا',
+  'common.retry': 'إعادة المحاولة',
+  'common.dismiss': 'تجاهل',
+  'common.copied': 'تم النسخ',
+  'common.viewDetails': 'عرض التفاصيل',
+
+  'nav.current': 'الآن',
+  'nav.schedule': 'الجدول',
+  'nav.timetable': 'الجدول الزمني',
+  'nav.mySchedule': 'جدولي',
+  'nav.speakers': 'المتحدثون',
+  'nav.team': 'الفريق',
+  'nav.planner': 'خطط أيامي',
+  'nav.alerts': 'التنبيهات',
+  'nav.changes': 'التغييرات',
+  'nav.refresh': 'تحديث',
+  'nav.refreshTitle': 'تحديث الجدول',
+  'nav.restartRefresh': 'إعادة بدء التحديث',
+  'nav.notificationsOn': 'تفعيل إشعارات المتصفح',
+  'nav.notificationsOff': 'إيقاف إشعارات المتصفح',
+
+  'language.label': 'اللغة',
+
+  'time.shownIn': 'الأوقات معروضة بتوقيت {zone}',
+  'time.zone': 'المنطقة الزمنية',
+  'time.venue': 'توقيت مكان الحدث ({zone})',
+  'time.local': 'توقيتي ({zone})',
+  'time.clock': 'الساعة',
+  'time.12h': 'نظام 12 ساعة',
+  'time.24h': 'نظام 24 ساعة',
+
+  'export.button': 'تصدير',
+  'export.mySchedule': 'جدولي',
+  'export.filtered': 'الجلسات المصفاة',
+  'export.full': 'الجدول الكامل',
+  'export.calendarMine': 'جدولي في Devcon',
+  'export.calendarFiltered': 'جدول Devcon (مصفى)',
+  'export.calendarFull': 'جدول Devcon',
+  'export.notes': 'ملاحظاتي (Markdown)',
+  'export.subscribe': 'الاشتراك في جدولي (موجز مباشر)',
+  'export.feedCopied': 'تم نسخ رابط موجز التقويم',
+  'export.feedHint': 'أضفه في تطبيق التقويم كاشتراك من عنوان URL. تتبع الأحداث الجدول عند نقل الجلسات.',
+  'export.feedCopyFailed': 'تعذر نسخ رابط الموجز. انسخه من هنا:',
+  'export.print': 'طباعة أو حفظ بصيغة PDF…',
+
+  'print.title': 'طباعة الجدول',
+  'print.description': 'جدول مختصر بصفحة لكل يوم. اختر "حفظ بصيغة PDF" في نافذة الطباعة للاحتفاظ بنسخة.',
+  'print.scope': 'الجلسات',
+  'print.descriptions': 'تضمين الأوصاف',
+  'print.qrCodes': 'تضمين رموز QR تربط بكل جلسة',
+  'print.print': 'طباعة',
+  'print.summary': {
+    one: 'جلسة واحدة · طُبع في {time}',
+    two: 'جلستان · طُبع في {time}',
+    few: '{count} جلسات · طُبع في {time}',
+    other: '{count} جلسة · طُبع في {time}'
+  },
+
+  'backup.download': 'نسخ بياناتي احتياطيًا (JSON)',
+  'backup.restore': 'الاستعادة من نسخة احتياطية…',
+  'backup.restored': 'تمت استعادة النسخة الاحتياطية',
+  'backup.skippedFields': {
+    one: 'تعذرت قراءة عنصر واحد من النسخة فاحتفظ بقيمته الحالية',
+    two: 'تعذرت قراءة عنصرين من النسخة فاحتفظا بقيمتيهما الحاليتين',
+    few: 'تعذرت قراءة {count} عناصر من النسخة فاحتفظت بقيمها الحالية',
+    other: 'تعذرت قراءة {count} عنصر من النسخة فاحتفظت بقيمها الحالية'
+  },
+  'backup.undo': 'تراجع',
+  'backup.restoreFailed': 'تعذرت استعادة النسخة الاحتياطية',
+  'backup.invalidFile': 'هذا الملف ليس نسخة احتياطية للجدول.',
+  'backup.newerVersion': 'أُنشئت هذه النسخة بإصدار أحدث من التطبيق.',
+  'backup.recoveredTitle': 'تعذرت قراءة بعض البيانات المحفوظة',
+  'backup.recoveredHint': 'أُعيد ضبط تلك الإعدادات، واحتُفظ بنسخة من البيانات غير المقروءة على هذا الجهاز.',
+  'backup.storedNewerTitle': 'بياناتك المحفوظة من إصدار أحدث من التطبيق',
+  'backup.storedNewerHint': 'تُعرض بقدر ما يستطيع هذا الإصدار، لكن التغييرات التي تجريها الآن لن تُحفظ. أعد التحميل بعد تحديث التطبيق.',
+  'backup.notPersistedTitle': 'لن تُحفظ التغييرات',
+  'backup.notPersistedHint': 'لا يسمح هذا المتصفح للتطبيق بتخزين البيانات، لذا تبقى الإشارات المرجعية والإعدادات حتى إغلاق الصفحة فقط.',
+
+  'load.failed': 'تعذر تحميل الجدول',
+  'load.refreshFailed': 'تعذر تحديث الجدول',
+  'load.showingCopy': '{error}. يتم عرض النسخة المحفوظة في {time}.',
+  'load.unknownError': 'حدث خطأ أثناء تحميل الجدول',
+  'load.error.timeout': 'لم يستجب {source} في الوقت المحدد',
+  'load.error.unreachable': 'تعذر الاتصال بـ {source}',
+  'load.error.http-status': 'استجاب {source} بالخطأ {status}',
+  'load.error.invalid-json': 'أرسل {source} استجابة تعذرت قراءتها',
+  'load.error.invalid-response': 'أرسل {source} الجلسات بتنسيق غير متوقع',
+  'load.error.incomplete-pages': 'لم يُرجع {source} الجدول كاملاً',
+  'load.error.misconfigured': 'مصدر الجدول غير مُعد بشكل صحيح',
+  'load.loading': 'جارٍ تحميل الجدول',
+
+  'sync.updated': 'تم تحديث الجدول',
+  'sync.noChanges': 'لا توجد تغييرات في الجدول',
+
+  'notifications.blocked': 'الإشعارات محظورة',
+  'notifications.blockedHint': 'اسمح بها من إعدادات المتصفح لتلقي التنبيهات.',
+
+  'alerts.title': {
+    one: 'تغيرت إحدى الجلسات المحفوظة',
+    two: 'تغييران على جلساتك المحفوظة',
+    few: '{count} تغييرات على جلساتك المحفوظة',
+    other: '{count} تغييرًا على جلساتك المحفوظة'
+  },
+  'alerts.cancelled': 'أُلغيت: {title}',
+  'alerts.moved': 'نُقلت إلى {room}: {title}',
+  'alerts.anotherRoom': 'قاعة أخرى',
+  'alerts.rescheduled': 'أُعيدت جدولتها إلى {time}: {title}',
+
+  'reminders.startingIn': 'تبدأ خلال {count} د',
+  'reminders.snooze': 'تأجيل {count} د',
+
+  'search.placeholder': 'ابحث في الجلسات...',
+  'search.hint': 'جرّب speaker:الاسم أو track:"Layer 2" أو room:stage أو -استبعاد أو OR',
+  'search.label': 'البحث في الجلسات',
+  'search.clear': 'مسح البحث',
+
+  'filters.allDays': 'كل الأيام',
+  'filters.days': { one: 'يوم واحد', two: 'يومان', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+  'filters.allTracks': 'كل المسارات',
+  'filters.tracks': { one: 'مسار واحد', two: 'مساران', few: '{count} مسارات', many: '{count} مسارًا', other: '{count} مسار' },
+  'filters.allRooms': 'كل القاعات',
+  'filters.rooms': { one: 'قاعة واحدة', two: 'قاعتان', few: '{count} قاعات', many: '{count} قاعة', other: '{count} قاعة' },
+  'filters.from': 'من',
+  'filters.to': 'إلى',
+  'filters.anyStart': 'أي وقت بدء',
+  'filters.startingInMinutes': 'تبدأ خلال {count} دقيقة',
+  'filters.startingInHours': {
+    one: 'تبدأ خلال ساعة',
+    two: 'تبدأ خلال ساعتين',
+    few: 'تبدأ خلال {count} ساعات',
+    other: 'تبدأ خلال {count} ساعة'
+  },
+  'filters.withSlides': 'مع الشرائح فقط',
+  'filters.hideBookmarked': 'إخفاء المحفوظة',
+  'filters.more': 'مزيد من عوامل التصفية',
+  'filters.fewer': 'عوامل تصفية أقل',
+  'filters.sortByTime': 'ترتيب حسب الوقت',
+  'filters.sortByRelevance': 'ترتيب حسب الصلة',
+  'filters.clear': 'مسح عوامل التصفية',
+  'filters.dayLabel': 'الأيام',
+  'filters.trackLabel': 'المسارات',
+  'filters.roomLabel': 'القاعات',
+  'filters.startingLabel': 'تبدأ خلال',
+
+  'presets.name': 'اسم الإعداد المسبق',
+  'presets.saveAs': 'حفظ كإعداد مسبق',
+  'presets.delete': 'حذف الإعداد المحفوظ {name}',
+
+  'schedule.bestMatches': 'أفضل النتائج',
+  'schedule.conflicts': {
+    one: 'تعارض واحد',
+    two: 'تعارضان',
+    few: '{count} تعارضات',
+    many: '{count} تعارضًا',
+    other: '{count} تعارض'
+  },
+  'schedule.empty': 'لم يتم العثور على جلسات',
+
+  'session.room': 'القاعة: {room}',
+  'session.backup': 'بديلة',
+  'session.conflict': 'تعارض',
+  'session.attending': 'سأحضرها',
+  'session.attend': 'حضور هذه الجلسة',
+  'session.linkCopied': 'تم نسخ الرابط',
+  'session.copyLink': 'نسخ رابط هذه الجلسة',
+  'session.showMore': 'عرض المزيد',
+  'session.showLess': 'عرض أقل',
+  'session.presentation': 'العرض التقديمي',
+  'session.slides': 'الشرائح',
+  'session.related': 'التفاصيل والجلسات ذات الصلة',
+  'session.bookmark': 'إضافة إلى جدولي',
+
+  'notes.attended': 'حضرتها',
+  'notes.skipped': 'فاتتني',
+  'notes.rate': {
+    one: 'تقييم بنجمة واحدة',
+    two: 'تقييم بنجمتين',
+    few: 'تقييم بـ {count} نجوم',
+    other: 'تقييم بـ {count} نجمة'
+  },
+  'notes.add': 'إضافة ملاحظة',
+  'notes.edit': 'تعديل الملاحظة',
+  'notes.placeholder': 'ملاحظات خاصة محفوظة على هذا الجهاز',
+  'notes.exportTitle': 'ملاحظات Devcon',
+  'notes.exportedAt': 'تم التصدير {time}',
+  'notes.statusLine': 'الحالة: {status}',
+  'notes.ratingLine': 'التقييم: {stars} ({count}/5)',
+  'notes.speakersLine': 'المتحدثون: {names}',
+
+  'planner.title': 'خطط أيامي',
+  'planner.description': 'اختر ما يهمك واحصل على برنامج مقترح بلا تعارضات. عدّله جلسة بجلسة ثم أضفه إلى جدولي.',
+  'planner.anyTrack': 'لا مسارات مفضلة',
+  'planner.anySpeaker': 'لا متحدثين مفضلين',
+  'planner.speakers': { one: 'متحدث واحد', two: 'متحدثان', few: '{count} متحدثين', other: '{count} متحدثًا' },
+  'planner.noMustSee': 'لا جلسات أساسية',
+  'planner.mustSee': {
+    one: 'جلسة أساسية واحدة',
+    two: 'جلستان أساسيتان',
+    few: '{count} جلسات أساسية',
+    other: '{count} جلسة أساسية'
+  },
+  'planner.keywords': 'كلمات مفتاحية مفصولة بفواصل',
+  'planner.breakBetween': 'استراحة بين الجلسات',
+  'planner.blocked': 'أوقات محجوزة',
+  'planner.everyDay': 'كل يوم',
+  'planner.addBlocked': 'حجز وقت',
+  'planner.empty': 'لا شيء يطابق اهتماماتك بعد. أضف مسارات أو متحدثين أو كلمات مفتاحية.',
+  'planner.skipped.blocked': 'الجلسة الأساسية «{title}» تقع في وقت محجوز',
+  'planner.skipped.conflict': 'الجلسة الأساسية «{title}» تتعارض مع جلسة أساسية أخرى',
+  'planner.reason.mustSee': 'أساسية',
+  'planner.reason.track': 'المسار: {value}',
+  'planner.reason.speaker': 'المتحدث: {value}',
+  'planner.reason.keyword': 'كلمة مفتاحية: {value}',
+  'planner.swap': { one: 'استبدال ببديل واحد…', other: 'استبدال بأحد {count} بدائل…' },
+  'planner.remove': 'إزالة من الخطة',
+  'planner.mustSeeLabel': 'الجلسات الأساسية',
+  'planner.blockedDay': 'اليوم',
+  'planner.blockedFrom': 'محجوز من',
+  'planner.blockedUntil': 'محجوز حتى',
+  'planner.removeBlocked': 'إزالة الوقت المحجوز',
+  'planner.accept': {
+    '=0': 'إضافة إلى جدولي',
+    one: 'إضافة جلسة واحدة إلى جدولي',
+    two: 'إضافة جلستين إلى جدولي',
+    few: 'إضافة {count} جلسات إلى جدولي',
+    other: 'إضافة {count} جلسة إلى جدولي'
+  },
+
+  'conflicts.overlap': {
+    two: 'جلستان متداخلتان — اختر الجلسة التي ستحضرها',
+    few: '{count} جلسات متداخلة — اختر الجلسة التي ستحضرها',
+    other: '{count} جلسة متداخلة — اختر الجلسة التي ستحضرها'
+  },
+  'conflicts.planned': {
+    two: 'جلستان متداخلتان — تم الاختيار، والأخرى بديلة',
+    few: '{count} جلسات متداخلة — تم الاختيار، والباقي بدائل',
+    other: '{count} جلسة متداخلة — تم الاختيار، والباقي بدائل'
+  },
+
+  'changes.titleUpdated': 'تم تحديث الجدول',
+  'changes.titleHistory': 'تغييرات الجدول',
+  'changes.noChanges': 'لا توجد تغييرات في الجدول',
+  'changes.noHistory': 'لم تُسجل أي تغييرات بعد',
+  'changes.historyDescription': 'التغييرات المكتشفة منذ بدأت استخدام التطبيق',
+  'changes.added': { other: 'أُضيف {count}' },
+  'changes.removed': { other: 'حُذف {count}' },
+  'changes.changed': { other: 'عُدّل {count}' },
+  'changes.unchanged': { other: 'بلا تغيير {count}' },
+  'changes.bookmarksAffected': {
+    one: 'تأثرت جلسة واحدة من جلساتك المحفوظة',
+    two: 'تأثرت جلستان من جلساتك المحفوظة',
+    few: 'تأثرت {count} جلسات من جلساتك المحفوظة',
+    other: 'تأثرت {count} جلسة من جلساتك المحفوظة'
+  },
+  'changes.addedHeading': 'المضافة',
+  'changes.removedHeading': 'المحذوفة',
+  'changes.new': 'جديد',
+  'changes.field.time': 'الوقت',
+  'changes.field.room': 'القاعة',
+  'changes.field.speakers': 'المتحدثون',
+  'changes.field.title': 'العنوان',
+  'changes.field.track': 'المسار',
+  'changes.field.details': 'تم تحديث الوصف أو الموارد',
+
+  'team.title': 'جداول الفريق',
+  'team.description': 'شارك جلساتك المحفوظة واعرف أي زملاء سيحضرون كل جلسة.',
+  'team.pendingShare': {
+    one: 'شارك {name} جلسة واحدة',
+    two: 'شارك {name} جلستين',
+    few: 'شارك {name} {count} جلسات',
+    other: 'شارك {name} {count} جلسة'
+  },
+  'team.add': 'إضافة إلى الفريق',
+  'team.merge': 'دمج مع جدولي',
+  'team.ignore': 'تجاهل',
+  'team.shareHeading': 'مشاركة جدولي',
+  'team.namePlaceholder': 'اسمك',
+  'team.unnamed': 'زميل',
+  'team.copyLink': 'نسخ الرابط',
+  'team.shareEmpty': 'احفظ بعض الجلسات لمشاركتها.',
+  'team.importHeading': 'استيراد جدول زميل',
+  'team.importPlaceholder': 'الصق رابط المشاركة',
+  'team.import': 'استيراد',
+  'team.importError': 'لا يبدو هذا رابط مشاركة جدول',
+  'team.members': 'الفريق',
+  'team.sessionCount': {
+    one: 'جلسة واحدة',
+    two: 'جلستان',
+    few: '{count} جلسات',
+    other: '{count} جلسة'
+  },
+  'team.remove': 'إزالة {name}',
+
+  'speakers.all': 'كل المتحدثين',
+  'speakers.follow': 'متابعة',
+  'speakers.following': 'تتابعه',
+  'speakers.sessionCount': {
+    one: 'جلسة واحدة',
+    two: 'جلستان',
+    few: '{count} جلسات',
+    other: '{count} جلسة'
+  },
+  'speakers.searchPlaceholder': 'ابحث عن متحدثين...',
+  'speakers.empty': 'لم يتم العثور على متحدثين',
+
+  'related.title': 'جلسات ذات صلة',
+  'related.empty': 'لا يوجد ما يشبهها في الجدول',
+  'related.suggestions': 'قد يعجبك أيضًا',
+  'related.because': 'لأنك حفظت',
+  'related.reason.speaker': 'أيضًا من تقديم {value}',
+  'related.reason.track': 'المسار نفسه: {value}',
+  'related.reason.topic': 'موضوع مشابه: {value}',
+
+  'upNext.title': 'التالي',
+  'upNext.settings': 'إعدادات التذكير',
+  'upNext.remindMe': 'ذكّرني',
+  'upNext.minutesBefore': 'قبل {count} د',
+  'upNext.walkTime': 'وقت المشي',
+  'upNext.minutes': '{count} د',
+  'upNext.inDays': 'بعد {count} ي',
+  'upNext.inHours': 'بعد {hours} س {minutes} د',
+  'upNext.inMinutes': 'بعد {count} د',
+  'upNext.leaveNow': 'غادر الآن',
+  'upNext.leaveIn': 'غادر بعد {count} د',
+
+  'a11y.views': 'طرق العرض',
+  'a11y.results': {
+    '=0': 'لا توجد جلسات مطابقة',
+    one: 'جلسة واحدة مطابقة',
+    two: 'جلستان مطابقتان',
+    few: '{count} جلسات مطابقة',
+    other: '{count} جلسة مطابقة'
+  },
+  'a11y.bookmarked': 'تمت إضافة {title} إلى جدولي',
+  'a11y.unbookmarked': 'تمت إزالة {title} من جدولي',
+  'a11y.nothingNow': 'لا شيء يجري الآن',
+
+  'kiosk.now': 'الآن',
+  'kiosk.next': 'التالي',
+  'kiosk.nothingNow': 'لا شيء الآن',
+  'kiosk.nothingNext': 'لا شيء آخر في الجدول',
+  'kiosk.startsIn': {
+    '=0': 'تبدأ الآن',
+    one: 'بعد دقيقة واحدة',
+    two: 'بعد دقيقتين',
+    few: 'بعد {count} دقائق',
+    other: 'بعد {count} دقيقة'
+  },
+  'kiosk.offline': 'غير متصل · الجدول كما في {time}',
+  'kiosk.empty': 'لا توجد جلسات أخرى في الجدول'
+};
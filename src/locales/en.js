@@ -0,0 +1,291 @@
+// English is the source catalog; other locales fall back to it per key
+export default {
+  'app.title': 'Devcon Schedule',
+  'app.offline': 'Offline',
+  'app.lastSynced': 'Last synced {time}',
+
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.done': 'Done',
+  'common.okay': 'Okay',
+  'common.retry': 'Retry',
+  'common.dismiss': 'Dismiss',
+  'common.copied': 'Copied',
+  'common.viewDetails': 'View details',
+
+  'nav.current': 'Current',
+  'nav.schedule': 'Schedule',
+  'nav.timetable': 'Timetable',
+  'nav.mySchedule': 'My Schedule',
+  'nav.speakers': 'Speakers',
+  'nav.team': 'Team',
+  'nav.planner': 'Plan my days',
+  'nav.alerts': 'Alerts',
+  'nav.changes': 'Changes',
+  'nav.refresh': 'Refresh',
+  'nav.refreshTitle': 'Refresh schedule',
+  'nav.restartRefresh': 'Restart refresh',
+  'nav.notificationsOn': 'Turn on browser notifications',
+  'nav.notificationsOff': 'Turn off browser notifications',
+
+  'language.label': 'Language',
+
+  'time.shownIn': 'Times shown in {zone}',
+  'time.zone': 'Timezone',
+  'time.venue': 'Venue time ({zone})',
+  'time.local': 'My time ({zone})',
+  'time.clock': 'Clock',
+  'time.12h': '12-hour',
+  'time.24h': '24-hour',
+
+  'export.button': 'Export',
+  'export.mySchedule': 'My Schedule',
+  'export.filtered': 'Filtered sessions',
+  'export.full': 'Full schedule',
+  'export.calendarMine': 'My Devcon Schedule',
+  'export.calendarFiltered': 'Devcon Schedule (filtered)',
+  'export.calendarFull': 'Devcon Schedule',
+  'export.notes': 'My notes (Markdown)',
+  'export.subscribe': 'Subscribe to My Schedule (live feed)',
+  'export.feedCopied': 'Calendar feed link copied',
+  'export.feedHint': 'Add it in your calendar app as a subscription from URL. Events follow the schedule when sessions move.',
+  'export.feedCopyFailed': "Couldn't copy the feed link. Copy it from here:",
+  'export.print': 'Print or save as PDF…',
+
+  'print.title': 'Print agenda',
+  'print.description': 'A compact agenda with one page per day. Choose "Save as PDF" in the print dialog to keep a copy.',
+  'print.scope': 'Sessions',
+  'print.descriptions': 'Include descriptions',
+  'print.qrCodes': 'Include QR codes linking to each session',
+  'print.print': 'Print',
+  'print.summary': { one: '{count} session · printed {time}', other: '{count} sessions · printed {time}' },
+
+  'backup.download': 'Back up my data (JSON)',
+  'backup.restore': 'Restore from backup…',
+  'backup.restored': 'Backup restored',
+  'backup.skippedFields': {
+    one: '{count} item in the backup was unreadable and kept its current value',
+    other: '{count} items in the backup were unreadable and kept their current values'
+  },
+  'backup.undo': 'Undo',
+  'backup.restoreFailed': "Couldn't restore the backup",
+  'backup.invalidFile': 'That file is not a schedule backup.',
+  'backup.newerVersion': 'That backup was made by a newer version of the app.',
+  'backup.recoveredTitle': 'Some saved data could not be read',
+  'backup.recoveredHint': 'Those settings were reset. A copy of the unreadable data was kept on this device.',
+  'backup.storedNewerTitle': 'Your saved data is from a newer version of the app',
+  'backup.storedNewerHint': 'It is shown as far as this version can, but changes made now will not be saved. Reload once the app has updated.',
+  'backup.notPersistedTitle': 'Changes will not be saved',
+  'backup.notPersistedHint': 'This browser is not letting the app store data, so bookmarks and settings last only until the page is closed.',
+
+  'load.failed': "Couldn't load the schedule",
+  'load.refreshFailed': "Couldn't refresh the schedule",
+  'load.showingCopy': '{error}. Showing the copy from {time}.',
+  'load.unknownError': 'Something went wrong loading the schedule',
+  'load.error.timeout': '{source} did not respond in time',
+  'load.error.unreachable': 'Could not reach {source}',
+  'load.error.http-status': '{source} responded with error {status}',
+  'load.error.invalid-json': '{source} sent a response that could not be read',
+  'load.error.invalid-response': '{source} sent the sessions in an unexpected format',
+  'load.error.incomplete-pages': '{source} did not return the full schedule',
+  'load.error.misconfigured': 'The schedule source is not set up correctly',
+  'load.loading': 'Loading the schedule',
+
+  'sync.updated': 'Schedule updated',
+  'sync.noChanges': 'No changes found in the schedule',
+
+  'notifications.blocked': 'Notifications are blocked',
+  'notifications.blockedHint': 'Allow them in your browser settings to get alerts.',
+
+  'alerts.title': {
+    one: 'A bookmarked session changed',
+    other: '{count} changes to your bookmarked sessions'
+  },
+  'alerts.cancelled': 'Cancelled: {title}',
+  'alerts.moved': 'Moved to {room}: {title}',
+  'alerts.anotherRoom': 'another room',
+  'alerts.rescheduled': 'Rescheduled to {time}: {title}',
+
+  'reminders.startingIn': 'Starting in {count} min',
+  'reminders.snooze': 'Snooze {count} min',
+
+  'search.placeholder': 'Search sessions...',
+  'search.hint': 'Try speaker:name, track:"Layer 2", room:stage, -exclude or OR',
+  'search.label': 'Search sessions',
+  'search.clear': 'Clear search',
+
+  'filters.allDays': 'All Days',
+  'filters.days': { one: '{count} day', other: '{count} days' },
+  'filters.allTracks': 'All Tracks',
+  'filters.tracks': { one: '{count} track', other: '{count} tracks' },
+  'filters.allRooms': 'All Rooms',
+  'filters.rooms': { one: '{count} room', other: '{count} rooms' },
+  'filters.from': 'From',
+  'filters.to': 'to',
+  'filters.anyStart': 'Any start time',
+  'filters.startingInMinutes': 'Starting in {count} min',
+  'filters.startingInHours': { one: 'Starting in {count} hour', other: 'Starting in {count} hours' },
+  'filters.withSlides': 'Only with slides',
+  'filters.hideBookmarked': 'Hide bookmarked',
+  'filters.more': 'More filters',
+  'filters.fewer': 'Fewer filters',
+  'filters.sortByTime': 'Sort by time',
+  'filters.sortByRelevance': 'Sort by relevance',
+  'filters.clear': 'Clear filters',
+  'filters.dayLabel': 'Days',
+  'filters.trackLabel': 'Tracks',
+  'filters.roomLabel': 'Rooms',
+  'filters.startingLabel': 'Starting within',
+
+  'presets.name': 'Preset name',
+  'presets.saveAs': 'Save as preset',
+  'presets.delete': 'Delete preset {name}',
+
+  'schedule.bestMatches': 'Best matches',
+  'schedule.conflicts': { one: '{count} conflict', other: '{count} conflicts' },
+  'schedule.empty': 'No sessions found',
+
+  'session.room': 'Room: {room}',
+  'session.backup': 'Backup',
+  'session.conflict': 'Conflict',
+  'session.attending': 'Attending',
+  'session.attend': 'Attend this one',
+  'session.linkCopied': 'Link copied',
+  'session.copyLink': 'Copy link to this session',
+  'session.showMore': 'Show more',
+  'session.showLess': 'Show less',
+  'session.presentation': 'Presentation',
+  'session.slides': 'Slides',
+  'session.related': 'Details and related sessions',
+  'session.bookmark': 'Add to My Schedule',
+
+  'notes.attended': 'Attended',
+  'notes.skipped': 'Skipped',
+  'notes.rate': { one: 'Rate {count} star', other: 'Rate {count} stars' },
+  'notes.add': 'Add note',
+  'notes.edit': 'Edit note',
+  'notes.placeholder': 'Private notes, kept on this device',
+  'notes.exportTitle': 'Devcon notes',
+  'notes.exportedAt': 'Exported {time}',
+  'notes.statusLine': 'Status: {status}',
+  'notes.ratingLine': 'Rating: {stars} ({count}/5)',
+  'notes.speakersLine': 'Speakers: {names}',
+
+  'planner.title': 'Plan my days',
+  'planner.description': 'Pick what you care about and get a proposed itinerary with no clashes. Tweak it slot by slot, then add it to My Schedule.',
+  'planner.anyTrack': 'No preferred tracks',
+  'planner.anySpeaker': 'No preferred speakers',
+  'planner.speakers': { one: '{count} speaker', other: '{count} speakers' },
+  'planner.noMustSee': 'No must-see sessions',
+  'planner.mustSee': { one: '{count} must-see session', other: '{count} must-see sessions' },
+  'planner.keywords': 'Keywords, separated by commas',
+  'planner.breakBetween': 'Break between sessions',
+  'planner.blocked': 'Blocked-off times',
+  'planner.everyDay': 'Every day',
+  'planner.addBlocked': 'Block off a time',
+  'planner.empty': 'Nothing matches your interests yet. Add tracks, speakers or keywords.',
+  'planner.skipped.blocked': 'Must-see "{title}" falls in a blocked-off time',
+  'planner.skipped.conflict': 'Must-see "{title}" clashes with another must-see session',
+  'planner.reason.mustSee': 'Must-see',
+  'planner.reason.track': 'Track: {value}',
+  'planner.reason.speaker': 'Speaker: {value}',
+  'planner.reason.keyword': 'Keyword: {value}',
+  'planner.swap': { one: 'Swap for {count} alternative…', other: 'Swap for one of {count} alternatives…' },
+  'planner.remove': 'Remove from plan',
+  'planner.mustSeeLabel': 'Must-see sessions',
+  'planner.blockedDay': 'Day',
+  'planner.blockedFrom': 'Blocked from',
+  'planner.blockedUntil': 'Blocked until',
+  'planner.removeBlocked': 'Remove blocked time',
+  'planner.accept': {
+    '=0': 'Add to My Schedule',
+    one: 'Add {count} session to My Schedule',
+    other: 'Add {count} sessions to My Schedule'
+  },
+
+  'conflicts.overlap': { other: "{count} sessions overlap — pick the one you'll attend" },
+  'conflicts.planned': { other: '{count} overlapping sessions — plan picked, others are backups' },
+
+  'changes.titleUpdated': 'Schedule Updated',
+  'changes.titleHistory': 'Schedule Changes',
+  'changes.noChanges': 'No changes found in the schedule',
+  'changes.noHistory': 'No changes recorded yet',
+  'changes.historyDescription': 'Changes detected since you started using the app',
+  'changes.added': { other: '{count} added' },
+  'changes.removed': { other: '{count} removed' },
+  'changes.changed': { other: '{count} changed' },
+  'changes.unchanged': { other: '{count} unchanged' },
+  'changes.bookmarksAffected': {
+    one: '{count} of your bookmarked sessions was affected',
+    other: '{count} of your bookmarked sessions were affected'
+  },
+  'changes.addedHeading': 'Added',
+  'changes.removedHeading': 'Removed',
+  'changes.new': 'New',
+  'changes.field.time': 'Time',
+  'changes.field.room': 'Room',
+  'changes.field.speakers': 'Speakers',
+  'changes.field.title': 'Title',
+  'changes.field.track': 'Track',
+  'changes.field.details': 'Description or resources updated',
+
+  'team.title': 'Team Schedules',
+  'team.description': 'Share your bookmarks and see which teammates are going to each session.',
+  'team.pendingShare': { one: '{name} shared {count} session', other: '{name} shared {count} sessions' },
+  'team.add': 'Add to team',
+  'team.merge': 'Merge into my schedule',
+  'team.ignore': 'Ignore',
+  'team.shareHeading': 'Share my schedule',
+  'team.namePlaceholder': 'Your name',
+  'team.unnamed': 'Teammate',
+  'team.copyLink': 'Copy link',
+  'team.shareEmpty': 'Bookmark some sessions to share them.',
+  'team.importHeading': "Import a teammate's schedule",
+  'team.importPlaceholder': 'Paste share link',
+  'team.import': 'Import',
+  'team.importError': 'That does not look like a schedule share link',
+  'team.members': 'Team',
+  'team.sessionCount': { one: '{count} session', other: '{count} sessions' },
+  'team.remove': 'Remove {name}',
+
+  'speakers.all': 'All speakers',
+  'speakers.follow': 'Follow',
+  'speakers.following': 'Following',
+  'speakers.sessionCount': { one: '{count} session', other: '{count} sessions' },
+  'speakers.searchPlaceholder': 'Search speakers...',
+  'speakers.empty': 'No speakers found',
+
+  'related.title': 'Related sessions',
+  'related.empty': 'Nothing similar in the schedule',
+  'related.suggestions': 'You might also like',
+  'related.because': 'Because you bookmarked',
+  'related.reason.speaker': 'Also by {value}',
+  'related.reason.track': 'Same track: {value}',
+  'related.reason.topic': 'Similar topic: {value}',
+
+  'upNext.title': 'Up next',
+  'upNext.settings': 'Reminder settings',
+  'upNext.remindMe': 'Remind me',
+  'upNext.minutesBefore': '{count} min before',
+  'upNext.walkTime': 'Walk time',
+  'upNext.minutes': '{count} min',
+  'upNext.inDays': 'in {count}d',
+  'upNext.inHours': 'in {hours}h {minutes}m',
+  'upNext.inMinutes': 'in {count} min',
+  'upNext.leaveNow': 'Leave now',
+  'upNext.leaveIn': 'Leave in {count} min',
+
+  'a11y.views': 'Views',
+  'a11y.results': { '=0': 'No sessions match', one: '{count} session matches', other: '{count} sessions match' },
+  'a11y.bookmarked': 'Added {title} to My Schedule',
+  'a11y.unbookmarked': 'Removed {title} from My Schedule',
+  'a11y.nothingNow': 'Nothing is on right now',
+
+  'kiosk.now': 'Now',
+  'kiosk.next': 'Next',
+  'kiosk.nothingNow': 'Nothing on right now',
+  'kiosk.nothingNext': 'Nothing more scheduled',
+  'kiosk.startsIn': { '=0': 'Starting now', one: 'In {count} minute', other: 'In {count} minutes' },
+  'kiosk.offline': 'Offline · schedule as of {time}',
+  'kiosk.empty': 'No more sessions scheduled'
+};
@@ -0,0 +1,290 @@
+export default {
+  'app.title': 'Agenda de Devcon',
+  'app.offline': 'Sin conexión',
+  'app.lastSynced': 'Última sincronización {time}',
+
+  'common.save': 'Guardar',
+  'common.cancel': 'Cancelar',
+  'common.done': 'Listo',
+  'common.okay': 'Aceptar',
+  'common.retry': 'Reintentar',
+  'common.dismiss': 'Descartar',
+  'common.copied': 'Copiado',
+  'common.viewDetails': 'Ver detalles',
+
+  'nav.current': 'Ahora',
+  'nav.schedule': 'Agenda',
+  'nav.timetable': 'Horario',
+  'nav.mySchedule': 'Mi agenda',
+  'nav.speakers': 'Ponentes',
+  'nav.team': 'Equipo',
+  'nav.planner': 'Planificar mis días',
+  'nav.alerts': 'Alertas',
+  'nav.changes': 'Cambios',
+  'nav.refresh': 'Actualizar',
+  'nav.refreshTitle': 'Actualizar la agenda',
+  'nav.restartRefresh': 'Reiniciar la actualización',
+  'nav.notificationsOn': 'Activar las notificaciones del navegador',
+  'nav.notificationsOff': 'Desactivar las notificaciones del navegador',
+
+  'language.label': 'Idioma',
+
+  'time.shownIn': 'Horas en {zone}',
+  'time.zone': 'Zona horaria',
+  'time.venue': 'Hora del evento ({zone})',
+  'time.local': 'Mi hora ({zone})',
+  'time.clock': 'Reloj',
+  'time.12h': '12 horas',
+  'time.24h': '24 horas',
+
+  'export.button': 'Exportar',
+  'export.mySchedule': 'Mi agenda',
+  'export.filtered': 'Sesiones filtradas',
+  'export.full': 'Agenda completa',
+  'export.calendarMine': 'Mi agenda de Devcon',
+  'export.calendarFiltered': 'Agenda de Devcon (filtrada)',
+  'export.calendarFull': 'Agenda de Devcon',
+  'export.notes': 'Mis notas (Markdown)',
+  'export.subscribe': 'Suscribirse a Mi agenda (feed en vivo)',
+  'export.feedCopied': 'Enlace del feed de calendario copiado',
+  'export.feedHint': 'Añádelo en tu app de calendario como suscripción desde URL. Los eventos siguen a la agenda cuando las sesiones cambian.',
+  'export.feedCopyFailed': 'No se pudo copiar el enlace del feed. Cópialo desde aquí:',
+  'export.print': 'Imprimir o guardar como PDF…',
+
+  'print.title': 'Imprimir agenda',
+  'print.description': 'Una agenda compacta con una página por día. Elige "Guardar como PDF" en el diálogo de impresión para conservar una copia.',
+  'print.scope': 'Sesiones',
+  'print.descriptions': 'Incluir descripciones',
+  'print.qrCodes': 'Incluir códigos QR con enlace a cada sesión',
+  'print.print': 'Imprimir',
+  'print.summary': { one: '{count} sesión · impresa el {time}', other: '{count} sesiones · impresas el {time}' },
+
+  'backup.download': 'Copia de seguridad de mis datos (JSON)',
+  'backup.restore': 'Restaurar copia de seguridad…',
+  'backup.restored': 'Copia de seguridad restaurada',
+  'backup.skippedFields': {
+    one: '{count} elemento de la copia no se pudo leer y conservó su valor actual',
+    other: '{count} elementos de la copia no se pudieron leer y conservaron sus valores actuales'
+  },
+  'backup.undo': 'Deshacer',
+  'backup.restoreFailed': 'No se pudo restaurar la copia de seguridad',
+  'backup.invalidFile': 'Ese archivo no es una copia de seguridad de la agenda.',
+  'backup.newerVersion': 'Esa copia se creó con una versión más reciente de la aplicación.',
+  'backup.recoveredTitle': 'No se pudieron leer algunos datos guardados',
+  'backup.recoveredHint': 'Esos ajustes se restablecieron. Se guardó una copia de los datos ilegibles en este dispositivo.',
+  'backup.storedNewerTitle': 'Tus datos guardados son de una versión más reciente de la app',
+  'backup.storedNewerHint': 'Se muestran en la medida en que esta versión puede, pero los cambios que hagas ahora no se guardarán. Recarga cuando la app se haya actualizado.',
+  'backup.notPersistedTitle': 'Los cambios no se guardarán',
+  'backup.notPersistedHint': 'Este navegador no permite que la app guarde datos, así que los marcadores y ajustes solo duran hasta cerrar la página.',
+
+  'load.failed': 'No se pudo cargar la agenda',
+  'load.refreshFailed': 'No se pudo actualizar la agenda',
+  'load.showingCopy': '{error}. Se muestra la copia del {time}.',
+  'load.unknownError': 'Algo salió mal al cargar la agenda',
+  'load.error.timeout': '{source} no respondió a tiempo',
+  'load.error.unreachable': 'No se pudo conectar con {source}',
+  'load.error.http-status': '{source} respondió con el error {status}',
+  'load.error.invalid-json': '{source} envió una respuesta que no se pudo leer',
+  'load.error.invalid-response': '{source} envió las sesiones en un formato inesperado',
+  'load.error.incomplete-pages': '{source} no devolvió la agenda completa',
+  'load.error.misconfigured': 'El origen de la agenda no está bien configurado',
+  'load.loading': 'Cargando la agenda',
+
+  'sync.updated': 'Agenda actualizada',
+  'sync.noChanges': 'No hay cambios en la agenda',
+
+  'notifications.blocked': 'Las notificaciones están bloqueadas',
+  'notifications.blockedHint': 'Permítelas en la configuración del navegador para recibir alertas.',
+
+  'alerts.title': {
+    one: 'Cambió una sesión guardada',
+    other: '{count} cambios en tus sesiones guardadas'
+  },
+  'alerts.cancelled': 'Cancelada: {title}',
+  'alerts.moved': 'Trasladada a {room}: {title}',
+  'alerts.anotherRoom': 'otra sala',
+  'alerts.rescheduled': 'Reprogramada para {time}: {title}',
+
+  'reminders.startingIn': 'Empieza en {count} min',
+  'reminders.snooze': 'Posponer {count} min',
+
+  'search.placeholder': 'Buscar sesiones...',
+  'search.hint': 'Prueba speaker:nombre, track:"Layer 2", room:stage, -excluir u OR',
+  'search.label': 'Buscar sesiones',
+  'search.clear': 'Borrar búsqueda',
+
+  'filters.allDays': 'Todos los días',
+  'filters.days': { one: '{count} día', other: '{count} días' },
+  'filters.allTracks': 'Todas las temáticas',
+  'filters.tracks': { one: '{count} temática', other: '{count} temáticas' },
+  'filters.allRooms': 'Todas las salas',
+  'filters.rooms': { one: '{count} sala', other: '{count} salas' },
+  'filters.from': 'Desde',
+  'filters.to': 'hasta',
+  'filters.anyStart': 'Cualquier hora de inicio',
+  'filters.startingInMinutes': 'Empieza en {count} min',
+  'filters.startingInHours': { one: 'Empieza en {count} hora', other: 'Empieza en {count} horas' },
+  'filters.withSlides': 'Solo con diapositivas',
+  'filters.hideBookmarked': 'Ocultar guardadas',
+  'filters.more': 'Más filtros',
+  'filters.fewer': 'Menos filtros',
+  'filters.sortByTime': 'Ordenar por hora',
+  'filters.sortByRelevance': 'Ordenar por relevancia',
+  'filters.clear': 'Borrar filtros',
+  'filters.dayLabel': 'Días',
+  'filters.trackLabel': 'Temáticas',
+  'filters.roomLabel': 'Salas',
+  'filters.startingLabel': 'Empieza en',
+
+  'presets.name': 'Nombre del filtro',
+  'presets.saveAs': 'Guardar filtro',
+  'presets.delete': 'Eliminar filtro guardado {name}',
+
+  'schedule.bestMatches': 'Mejores resultados',
+  'schedule.conflicts': { one: '{count} conflicto', other: '{count} conflictos' },
+  'schedule.empty': 'No se encontraron sesiones',
+
+  'session.room': 'Sala: {room}',
+  'session.backup': 'Alternativa',
+  'session.conflict': 'Conflicto',
+  'session.attending': 'Asistiré',
+  'session.attend': 'Asistir a esta',
+  'session.linkCopied': 'Enlace copiado',
+  'session.copyLink': 'Copiar el enlace a esta sesión',
+  'session.showMore': 'Mostrar más',
+  'session.showLess': 'Mostrar menos',
+  'session.presentation': 'Presentación',
+  'session.slides': 'Diapositivas',
+  'session.related': 'Detalles y sesiones relacionadas',
+  'session.bookmark': 'Añadir a Mi agenda',
+
+  'notes.attended': 'Asistí',
+  'notes.skipped': 'No asistí',
+  'notes.rate': { one: 'Valorar con {count} estrella', other: 'Valorar con {count} estrellas' },
+  'notes.add': 'Añadir nota',
+  'notes.edit': 'Editar nota',
+  'notes.placeholder': 'Notas privadas, guardadas en este dispositivo',
+  'notes.exportTitle': 'Notas de Devcon',
+  'notes.exportedAt': 'Exportado el {time}',
+  'notes.statusLine': 'Estado: {status}',
+  'notes.ratingLine': 'Valoración: {stars} ({count}/5)',
+  'notes.speakersLine': 'Ponentes: {names}',
+
+  'planner.title': 'Planificar mis días',
+  'planner.description': 'Elige lo que te interesa y obtén un itinerario sin solapamientos. Ajústalo sesión a sesión y añádelo a Mi agenda.',
+  'planner.anyTrack': 'Sin temáticas preferidas',
+  'planner.anySpeaker': 'Sin ponentes preferidos',
+  'planner.speakers': { one: '{count} ponente', other: '{count} ponentes' },
+  'planner.noMustSee': 'Sin sesiones imprescindibles',
+  'planner.mustSee': { one: '{count} sesión imprescindible', other: '{count} sesiones imprescindibles' },
+  'planner.keywords': 'Palabras clave, separadas por comas',
+  'planner.breakBetween': 'Descanso entre sesiones',
+  'planner.blocked': 'Horas reservadas',
+  'planner.everyDay': 'Todos los días',
+  'planner.addBlocked': 'Reservar una franja',
+  'planner.empty': 'Nada coincide todavía con tus intereses. Añade temáticas, ponentes o palabras clave.',
+  'planner.skipped.blocked': 'La sesión imprescindible «{title}» cae en una franja reservada',
+  'planner.skipped.conflict': 'La sesión imprescindible «{title}» se solapa con otra imprescindible',
+  'planner.reason.mustSee': 'Imprescindible',
+  'planner.reason.track': 'Temática: {value}',
+  'planner.reason.speaker': 'Ponente: {value}',
+  'planner.reason.keyword': 'Palabra clave: {value}',
+  'planner.swap': { one: 'Cambiar por {count} alternativa…', other: 'Cambiar por una de {count} alternativas…' },
+  'planner.remove': 'Quitar del plan',
+  'planner.mustSeeLabel': 'Sesiones imprescindibles',
+  'planner.blockedDay': 'Día',
+  'planner.blockedFrom': 'Reservado desde',
+  'planner.blockedUntil': 'Reservado hasta',
+  'planner.removeBlocked': 'Quitar franja reservada',
+  'planner.accept': {
+    '=0': 'Añadir a Mi agenda',
+    one: 'Añadir {count} sesión a Mi agenda',
+    other: 'Añadir {count} sesiones a Mi agenda'
+  },
+
+  'conflicts.overlap': { other: '{count} sesiones se solapan: elige a cuál asistirás' },
+  'conflicts.planned': { other: '{count} sesiones solapadas: ya elegiste una, las demás son alternativas' },
+
+  'changes.titleUpdated': 'Agenda actualizada',
+  'changes.titleHistory': 'Cambios en la agenda',
+  'changes.noChanges': 'No hay cambios en la agenda',
+  'changes.noHistory': 'Aún no se han registrado cambios',
+  'changes.historyDescription': 'Cambios detectados desde que empezaste a usar la aplicación',
+  'changes.added': { one: '{count} añadida', other: '{count} añadidas' },
+  'changes.removed': { one: '{count} eliminada', other: '{count} eliminadas' },
+  'changes.changed': { one: '{count} modificada', other: '{count} modificadas' },
+  'changes.unchanged': { one: '{count} sin cambios', other: '{count} sin cambios' },
+  'changes.bookmarksAffected': {
+    one: 'Se vio afectada {count} de tus sesiones guardadas',
+    other: 'Se vieron afectadas {count} de tus sesiones guardadas'
+  },
+  'changes.addedHeading': 'Añadidas',
+  'changes.removedHeading': 'Eliminadas',
+  'changes.new': 'Nuevo',
+  'changes.field.time': 'Hora',
+  'changes.field.room': 'Sala',
+  'changes.field.speakers': 'Ponentes',
+  'changes.field.title': 'Título',
+  'changes.field.track': 'Temática',
+  'changes.field.details': 'Descripción o recursos actualizados',
+
+  'team.title': 'Agendas del equipo',
+  'team.description': 'Comparte tus sesiones guardadas y mira qué compañeros van a cada sesión.',
+  'team.pendingShare': { one: '{name} compartió {count} sesión', other: '{name} compartió {count} sesiones' },
+  'team.add': 'Añadir al equipo',
+  'team.merge': 'Combinar con mi agenda',
+  'team.ignore': 'Ignorar',
+  'team.shareHeading': 'Compartir mi agenda',
+  'team.namePlaceholder': 'Tu nombre',
+  'team.unnamed': 'Compañero',
+  'team.copyLink': 'Copiar enlace',
+  'team.shareEmpty': 'Guarda algunas sesiones para compartirlas.',
+  'team.importHeading': 'Importar la agenda de un compañero',
+  'team.importPlaceholder': 'Pega el enlace compartido',
+  'team.import': 'Importar',
+  'team.importError': 'Eso no parece un enlace para compartir una agenda',
+  'team.members': 'Equipo',
+  'team.sessionCount': { one: '{count} sesión', other: '{count} sesiones' },
+  'team.remove': 'Quitar a {name}',
+
+  'speakers.all': 'Todos los ponentes',
+  'speakers.follow': 'Seguir',
+  'speakers.following': 'Siguiendo',
+  'speakers.sessionCount': { one: '{count} sesión', other: '{count} sesiones' },
+  'speakers.searchPlaceholder': 'Buscar ponentes...',
+  'speakers.empty': 'No se encontraron ponentes',
+
+  'related.title': 'Sesiones relacionadas',
+  'related.empty': 'No hay nada parecido en la agenda',
+  'related.suggestions': 'También te puede interesar',
+  'related.because': 'Porque guardaste',
+  'related.reason.speaker': 'También de {value}',
+  'related.reason.track': 'Misma temática: {value}',
+  'related.reason.topic': 'Tema parecido: {value}',
+
+  'upNext.title': 'A continuación',
+  'upNext.settings': 'Ajustes de recordatorios',
+  'upNext.remindMe': 'Recordarme',
+  'upNext.minutesBefore': '{count} min antes',
+  'upNext.walkTime': 'Tiempo a pie',
+  'upNext.minutes': '{count} min',
+  'upNext.inDays': 'en {count} d',
+  'upNext.inHours': 'en {hours} h {minutes} min',
+  'upNext.inMinutes': 'en {count} min',
+  'upNext.leaveNow': 'Sal ahora',
+  'upNext.leaveIn': 'Sal en {count} min',
+
+  'a11y.views': 'Vistas',
+  'a11y.results': { '=0': 'Ninguna sesión coincide', one: '{count} sesión coincide', other: '{count} sesiones coinciden' },
+  'a11y.bookmarked': '{title} añadida a Mi agenda',
+  'a11y.unbookmarked': '{title} quitada de Mi agenda',
+  'a11y.nothingNow': 'No hay nada en este momento',
+
+  'kiosk.now': 'Ahora',
+  'kiosk.next': 'A continuación',
+  'kiosk.nothingNow': 'Nada en este momento',
+  'kiosk.nothingNext': 'No hay nada más programado',
+  'kiosk.startsIn': { '=0': 'Empieza ahora', one: 'En {count} minuto', other: 'En {count} minutos' },
+  'kiosk.offline': 'Sin conexión · agenda de las {time}',
+  'kiosk.empty': 'No quedan sesiones programadas'
+};
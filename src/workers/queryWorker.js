@@ -0,0 +1,38 @@
+// Runs the query engine off the main thread. Queries are answered on a later
+// task so that one superseded or cancelled while waiting is skipped instead of run.
+import { createQueryEngine } from '../lib/queryEngine';
+
+const engine = createQueryEngine();
+const queued = new Set();
+let latestQueryId = 0;
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'sync':
+      engine.sync(data.sessions);
+      break;
+    case 'timeSettings':
+      engine.setTimeSettings(data.settings);
+      break;
+    case 'notes':
+      engine.setNotes(data.notes);
+      break;
+    case 'cancel':
+      queued.delete(data.id);
+      break;
+    case 'query':
+      queued.add(data.id);
+      latestQueryId = Math.max(latestQueryId, data.id);
+      setTimeout(() => {
+        if (!queued.delete(data.id) || data.id !== latestQueryId) return;
+        try {
+          self.postMessage({ id: data.id, result: engine.query(data.params) });
+        } catch (error) {
+          self.postMessage({ id: data.id, error: error.message });
+        }
+      }, 0);
+      break;
+    default:
+      console.warn('Unknown query worker message:', data.type);
+  }
+};
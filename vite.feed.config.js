@@ -0,0 +1,12 @@
+import { defineConfig } from 'vite';
+
+// Node build of the calendar feed server (server/calendarFeed.js)
+export default defineConfig({
+  publicDir: false,
+  build: {
+    ssr: 'server/calendarFeed.js',
+    outDir: 'dist-feed',
+    target: 'node18',
+    sourcemap: false
+  }
+});